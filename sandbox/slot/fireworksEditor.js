@@ -0,0 +1,39 @@
+import * as PIXI_NAMESPACE from 'pixi.js'
+// Expose PIXI globally, as the game does, for non-module PixiJS plugins.
+window.PIXI = PIXI_NAMESPACE
+
+import { initShowEditor } from './scripts/editor/showEditor.js'
+import { initTween } from './scripts/tween/tween.js'
+import { initAudio } from './scripts/audio/audio.js'
+
+// Room around the game's 1280x720 canvas, so fireworks launched from below its bottom edge (as
+// most shows do) can be seen and grabbed.
+const STAGE_MARGIN = 60
+
+/**
+ * The editor's PixiJS application: the game's canvas plus a margin on every side.
+ */
+const app = new PIXI_NAMESPACE.Application({
+  width: 1280 + STAGE_MARGIN * 2,
+  height: 720 + STAGE_MARGIN * 2,
+  backgroundColor: '#0f3461',
+  antialias: true
+})
+
+// The preview's timeline and effects run on the application's ticker, as in the game.
+initTween(app.ticker)
+initAudio()
+
+document.getElementById('editorStage').appendChild(app.view)
+
+/**
+ * Center of the canvas, which is also the center of the game's canvas drawn inside it.
+ * Show coordinates are offsets from this point.
+ * @type {{x: number, y: number}}
+ */
+const canvasCenter = {
+  x: app.renderer.width / 2,
+  y: app.renderer.height / 2
+}
+
+initShowEditor(app, canvasCenter)
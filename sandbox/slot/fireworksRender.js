@@ -0,0 +1,37 @@
+import * as PIXI_NAMESPACE from 'pixi.js'
+// Expose PIXI globally, as the game does, for non-module PixiJS plugins.
+window.PIXI = PIXI_NAMESPACE
+
+import { initRenderPage } from './scripts/editor/renderPage.js'
+import { initTween, createManualTicker } from './scripts/tween/tween.js'
+
+/**
+ * The renderer's PixiJS application, the size and colour of the game's canvas. It never draws
+ * on its own: frames are drawn one by one as the show is stepped, and kept readable for capture.
+ */
+const app = new PIXI_NAMESPACE.Application({
+  width: 1280,
+  height: 720,
+  backgroundColor: '#0f3461',
+  antialias: true,
+  autoStart: false,
+  preserveDrawingBuffer: true
+})
+
+// Every tween, timer and particle loop runs on a clock advanced frame by frame, even while the
+// tab is in the background.
+const ticker = createManualTicker()
+initTween(ticker, { pauseWhenHidden: false })
+
+document.getElementById('renderStage').appendChild(app.view)
+
+/**
+ * Center of the canvas, the origin of show coordinates.
+ * @type {{x: number, y: number}}
+ */
+const canvasCenter = {
+  x: app.renderer.width / 2,
+  y: app.renderer.height / 2
+}
+
+initRenderPage(app, ticker, canvasCenter)
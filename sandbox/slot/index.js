@@ -3,6 +3,8 @@ import * as PIXI_NAMESPACE from 'pixi.js'
 window.PIXI = PIXI_NAMESPACE
 
 import { initSlotGame } from './scripts/slot/slotGame.js'
+import { initTween } from './scripts/tween/tween.js'
+import { initLayout } from './scripts/layout/layoutManager.js'
 
 /**
  * Initializes the main PixiJS application instance.
@@ -15,6 +17,9 @@ const app = new PIXI_NAMESPACE.Application({
   antialias: true // Smooths rendered graphics edges
 })
 
+// Every tween, timer and particle loop runs on the application's ticker.
+initTween(app.ticker)
+
 // Attaches the PixiJS canvas to the designated game area in the DOM.
 const gameArea = document.getElementById('game-area')
 if (gameArea) {
@@ -28,6 +33,7 @@ if (gameArea) {
 /**
  * Stores the calculated center coordinates of the PixiJS canvas.
  * Useful for positioning game elements relative to the stage center.
+ * Kept up to date by the layout manager when the canvas is resized.
  * @type {{x: number, y: number}}
  */
 const canvasCenter = {
@@ -35,6 +41,14 @@ const canvasCenter = {
   y: app.renderer.height / 2
 }
 
+// Fits the game to the viewport, switching between landscape and portrait designs on resize.
+initLayout(
+  app,
+  canvasCenter,
+  document.getElementById('gameWrapper'),
+  document.getElementById('cabinet')
+)
+
 /**
  * Asynchronous entry point for initializing the slot game module.
  * Ensures the PixiJS application and canvas dimensions are ready before game setup.
@@ -0,0 +1,357 @@
+// --- Sound System ---
+// Every sound is synthesized with the Web Audio API, so the game needs no audio assets.
+// Browsers keep audio locked until the player interacts with the page: sounds requested before
+// that are silently skipped. The volume and mute settings persist in localStorage.
+
+import { createRng } from '../rng/rng.js'
+
+const STORAGE_KEY = 'pirateSlot.audio'
+const DEFAULT_SETTINGS = { volume: 0.7, muted: false }
+const SETTINGS_RAMP = 0.05 // Time constant of master volume changes, avoiding clicks (s).
+
+// Noise uses its own generator: drawing from the shared game RNG would change spin outcomes.
+const noiseRng = createRng('audio-noise')
+
+let _context = null // Created on the first user gesture.
+let _master = null // Master gain node, driven by the volume and mute settings.
+let _noiseBuffer = null // One second of white noise, shared by every noisy sound.
+let settings = { ...DEFAULT_SETTINGS }
+
+// --- Settings ---
+
+/**
+ * Writes the settings to localStorage.
+ * Storage failures (private mode, quota) are logged but never interrupt the game.
+ */
+const saveSettings = () => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.error('Error saving audio settings:', error)
+  }
+}
+
+/**
+ * Restores the persisted settings, keeping the defaults if nothing valid is stored.
+ */
+const loadSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (stored && Number.isFinite(stored.volume) && typeof stored.muted === 'boolean') {
+      settings = { volume: Math.max(0, Math.min(1, stored.volume)), muted: stored.muted }
+    }
+  } catch (error) {
+    console.error('Error loading audio settings, using defaults:', error)
+  }
+}
+
+/**
+ * Applies the current settings to the master gain, if audio is unlocked.
+ */
+const applySettings = () => {
+  if (!_master) return
+  const gain = settings.muted ? 0 : settings.volume
+  _master.gain.setTargetAtTime(gain, _context.currentTime, SETTINGS_RAMP)
+}
+
+// --- Synthesis Helpers ---
+
+/**
+ * @returns {boolean} True once audio is unlocked and may be played.
+ */
+const isReady = () => _context !== null && _context.state === 'running'
+
+/**
+ * Creates a gain node with a short attack and an exponential decay, connected to the master.
+ * @param {number} start - Context time the sound starts at (s).
+ * @param {number} peak - Peak gain.
+ * @param {number} decay - Time to fade out after the attack (s).
+ * @param {number} [attack=0.005] - Time to reach the peak (s).
+ * @returns {GainNode} The envelope, ready for sources to connect to.
+ */
+const createEnvelope = (start, peak, decay, attack = 0.005) => {
+  const envelope = _context.createGain()
+  envelope.gain.setValueAtTime(0.0001, start)
+  envelope.gain.exponentialRampToValueAtTime(peak, start + attack)
+  envelope.gain.exponentialRampToValueAtTime(0.0001, start + attack + decay)
+  envelope.connect(_master)
+  return envelope
+}
+
+/**
+ * Plays a single oscillator note through an envelope.
+ * @param {object} note - Note parameters.
+ * @param {OscillatorType} note.type - Waveform (e.g. 'sine', 'square', 'triangle').
+ * @param {number} note.frequency - Start frequency (Hz).
+ * @param {number} [note.endFrequency] - Frequency glided to by the end of the note (Hz).
+ * @param {number} note.start - Context time the note starts at (s).
+ * @param {number} note.duration - Note length (s).
+ * @param {number} note.peak - Peak gain.
+ */
+const playTone = ({ type, frequency, endFrequency, start, duration, peak }) => {
+  const oscillator = _context.createOscillator()
+  oscillator.type = type
+  oscillator.frequency.setValueAtTime(frequency, start)
+  if (endFrequency) {
+    oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration)
+  }
+  oscillator.connect(createEnvelope(start, peak, duration))
+  oscillator.start(start)
+  oscillator.stop(start + duration + 0.05)
+}
+
+/**
+ * Plays filtered white noise through an envelope.
+ * @param {object} noise - Noise parameters.
+ * @param {BiquadFilterType} noise.filter - Filter type (e.g. 'lowpass', 'bandpass').
+ * @param {number} noise.frequency - Start filter frequency (Hz).
+ * @param {number} [noise.endFrequency] - Filter frequency swept to by the end (Hz).
+ * @param {number} noise.start - Context time the noise starts at (s).
+ * @param {number} noise.duration - Noise length (s).
+ * @param {number} noise.peak - Peak gain.
+ * @param {number} [noise.attack] - Time to reach the peak (s).
+ */
+const playNoise = ({ filter, frequency, endFrequency, start, duration, peak, attack }) => {
+  const source = _context.createBufferSource()
+  source.buffer = _noiseBuffer
+  source.loop = true // The buffer is shorter than some sounds.
+
+  const filterNode = _context.createBiquadFilter()
+  filterNode.type = filter
+  filterNode.frequency.setValueAtTime(frequency, start)
+  if (endFrequency) {
+    filterNode.frequency.exponentialRampToValueAtTime(endFrequency, start + duration)
+  }
+
+  source.connect(filterNode)
+  filterNode.connect(createEnvelope(start, peak, duration, attack))
+  source.start(start)
+  source.stop(start + duration + 0.05)
+}
+
+/**
+ * Fills a buffer with white noise from the audio generator.
+ * @param {number} seconds - Buffer length.
+ * @returns {AudioBuffer} The noise buffer.
+ */
+const createNoiseBuffer = (seconds) => {
+  const buffer = _context.createBuffer(
+    1,
+    Math.floor(_context.sampleRate * seconds),
+    _context.sampleRate
+  )
+  const samples = buffer.getChannelData(0)
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = noiseRng.random() * 2 - 1
+  }
+  return buffer
+}
+
+// --- Sounds ---
+
+/**
+ * Short low thump with a click on top, played as a reel lands.
+ */
+export function playReelStop() {
+  if (!isReady()) return
+  const now = _context.currentTime
+  playTone({
+    type: 'sine',
+    frequency: 160,
+    endFrequency: 50,
+    start: now,
+    duration: 0.12,
+    peak: 0.6
+  })
+  playNoise({ filter: 'highpass', frequency: 2500, start: now, duration: 0.03, peak: 0.25 })
+}
+
+/**
+ * Rising major arpeggio, played when a spin pays.
+ */
+export function playWin() {
+  if (!isReady()) return
+  const now = _context.currentTime
+  const notes = [523.25, 659.25, 783.99, 1046.5] // C5, E5, G5, C6.
+  notes.forEach((frequency, index) => {
+    const start = now + index * 0.09
+    const duration = index === notes.length - 1 ? 0.6 : 0.15 // The top note rings on.
+    playTone({ type: 'triangle', frequency, start, duration, peak: 0.35 })
+  })
+}
+
+/**
+ * Two falling "wah" notes, played when a spin loses.
+ */
+export function playLose() {
+  if (!isReady()) return
+  const now = _context.currentTime
+  playTone({
+    type: 'square',
+    frequency: 220,
+    endFrequency: 200,
+    start: now,
+    duration: 0.2,
+    peak: 0.08
+  })
+  playTone({
+    type: 'square',
+    frequency: 185,
+    endFrequency: 140,
+    start: now + 0.22,
+    duration: 0.4,
+    peak: 0.08
+  })
+}
+
+/**
+ * Rising swish of air, played as a firework launches.
+ */
+export function playWhoosh() {
+  if (!isReady()) return
+  playNoise({
+    filter: 'bandpass',
+    frequency: 400,
+    endFrequency: 3000,
+    start: _context.currentTime,
+    duration: 0.7,
+    peak: 0.2,
+    attack: 0.25
+  })
+}
+
+/**
+ * Deep boom with a crackling tail, played as a rocket explodes.
+ */
+export function playBang() {
+  if (!isReady()) return
+  const now = _context.currentTime
+  playTone({ type: 'sine', frequency: 120, endFrequency: 35, start: now, duration: 0.5, peak: 0.7 })
+  playNoise({
+    filter: 'lowpass',
+    frequency: 3000,
+    endFrequency: 300,
+    start: now,
+    duration: 0.9,
+    peak: 0.5
+  })
+}
+
+/**
+ * Starts the mechanical ticking played while the reels spin.
+ * @returns {{stop: function(): void}} Handle fading the loop out; safe to call more than once.
+ */
+export function startSpinLoop() {
+  if (!isReady()) return { stop: () => {} }
+  const now = _context.currentTime
+
+  // A ratchet: a high click twelve times a second over a low rumble.
+  const clicks = _context.createOscillator()
+  clicks.type = 'square'
+  clicks.frequency.value = 12
+  const clickFilter = _context.createBiquadFilter()
+  clickFilter.type = 'highpass'
+  clickFilter.frequency.value = 1800 // Keeps only the edges of the square wave.
+  const rumble = _context.createOscillator()
+  rumble.type = 'sawtooth'
+  rumble.frequency.value = 55
+  const rumbleFilter = _context.createBiquadFilter()
+  rumbleFilter.type = 'lowpass'
+  rumbleFilter.frequency.value = 200
+
+  const loopGain = _context.createGain()
+  loopGain.gain.setValueAtTime(0.0001, now)
+  loopGain.gain.exponentialRampToValueAtTime(0.25, now + 0.1)
+  loopGain.connect(_master)
+  clicks.connect(clickFilter).connect(loopGain)
+  rumble.connect(rumbleFilter).connect(loopGain)
+  clicks.start(now)
+  rumble.start(now)
+
+  let stopped = false
+  return {
+    stop: () => {
+      if (stopped) return
+      stopped = true
+      const end = _context.currentTime
+      loopGain.gain.setTargetAtTime(0.0001, end, 0.05)
+      clicks.stop(end + 0.3)
+      rumble.stop(end + 0.3)
+    }
+  }
+}
+
+// --- Controls ---
+
+/**
+ * @returns {{volume: number, muted: boolean}} A copy of the current settings.
+ */
+export function getSettings() {
+  return { ...settings }
+}
+
+/**
+ * Sets and persists the master volume.
+ * @param {number} volume - Volume from 0 (silent) to 1 (full).
+ */
+export function setVolume(volume) {
+  settings.volume = Math.max(0, Math.min(1, volume))
+  saveSettings()
+  applySettings()
+}
+
+/**
+ * Mutes or unmutes every sound and persists the choice.
+ * @param {boolean} muted - True to silence the game.
+ */
+export function setMuted(muted) {
+  settings.muted = muted
+  saveSettings()
+  applySettings()
+}
+
+/**
+ * Creates (or resumes) the audio context. Must run inside a user gesture handler.
+ */
+const unlock = () => {
+  if (!_context) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    if (!AudioContextClass) {
+      console.error('Web Audio is not supported by this browser. The game will stay silent.')
+      return
+    }
+    _context = new AudioContextClass()
+    _master = _context.createGain()
+    _master.gain.value = settings.muted ? 0 : settings.volume
+    _master.connect(_context.destination)
+    _noiseBuffer = createNoiseBuffer(1)
+  }
+  if (_context.state === 'suspended') {
+    _context.resume().catch((error) => console.error('Error resuming audio:', error))
+  }
+}
+
+/**
+ * Initializes the sound system: restores the persisted settings and unlocks audio on the
+ * player's first gesture. Sounds requested before that are skipped.
+ * @returns {{volume: number, muted: boolean}} The restored settings.
+ */
+export function initAudio() {
+  loadSettings()
+  // Some browsers suspend the context again (e.g. after a phone call), so every gesture resumes it.
+  document.addEventListener('pointerdown', unlock)
+  document.addEventListener('keydown', unlock)
+
+  // Animations pause while the tab is hidden (see tween.js), so their sounds pause with them.
+  document.addEventListener('visibilitychange', () => {
+    if (!_context) return
+    // A closed context is left alone, and a resume refused before the player's first gesture
+    // is retried by `unlock`.
+    if (document.hidden && _context.state === 'running') {
+      _context.suspend().catch(() => {})
+    } else if (!document.hidden && _context.state === 'suspended') {
+      _context.resume().catch(() => {})
+    }
+  })
+  return getSettings()
+}
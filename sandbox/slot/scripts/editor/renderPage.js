@@ -0,0 +1,225 @@
+import { initFireworks } from '../fireworks/fireworks.js'
+import {
+  renderShow,
+  recordShowWebm,
+  canvasToPng,
+  DEFAULT_RENDER_SEED
+} from '../fireworks/showRenderer.js'
+import { formatShowError } from '../fireworks/showValidator.js'
+import { downloadFile } from '../utils/download.js'
+
+// --- Fireworks Show Renderer ---
+// Page behind fireworksRender.html: renders a shipped or imported show offline (see
+// showRenderer.js), as PNG frames written to a folder or as a downloaded WebM preview. Only the
+// PNG frames are reproducible; the WebM video is timed by the browser's recorder. The `show`,
+// `seed` and `fps` query parameters preset the form, and `window.renderFireworksShow` exposes
+// the renderer to browser automation, e.g. for golden-image tests comparing chosen frames.
+
+const IMPORTED_SHOW = 'imported' // Value of the show option of an imported file.
+
+// Global PixiJS references, injected during initialization.
+let _app
+let _ticker
+
+let elements // Cached DOM elements.
+let importedShow = null // Show read from a file: {show, source}.
+let rendering = false
+
+/**
+ * Lists messages under the stage, replacing the previous ones.
+ * @param {string[]} messages - Messages to show.
+ * @param {boolean} [isError=true] - Shows them as errors.
+ */
+const showMessages = (messages, isError = true) => {
+  elements.messages.replaceChildren(
+    ...messages.map((message) => {
+      const item = document.createElement('li')
+      item.textContent = message
+      item.classList.toggle('error', isError)
+      return item
+    })
+  )
+}
+
+/**
+ * @param {string} source - Location or file name of a show.
+ * @returns {string} Its name without folders or extension, used to name the output files.
+ */
+const getShowName = (source) => source.replace(/^.*\//, '').replace(/\.[^.]*$/, '')
+
+/**
+ * Reads the seed typed in the form. Like the game's `?seed`, it is used as text (see rng.js and
+ * effectsRng.js).
+ * @returns {string} The seed.
+ */
+const readSeed = () => elements.seed.value.trim() || DEFAULT_RENDER_SEED
+
+/**
+ * Selects an option of a list, adding it if the list does not have it.
+ * @param {HTMLSelectElement} select - The list.
+ * @param {string} value - Option value.
+ * @param {string} label - Option text.
+ */
+const selectOption = (select, value, label) => {
+  let option = [...select.options].find((candidate) => candidate.value === value)
+  if (!option) {
+    option = document.createElement('option')
+    option.value = value
+    select.appendChild(option)
+  }
+  option.textContent = label
+  select.value = value
+}
+
+/**
+ * Reads a show file picked by the user. JSON shows are passed as objects, XML ones through a
+ * URL of the file.
+ * @param {File} file - The show file.
+ */
+const importShow = async (file) => {
+  try {
+    const text = await file.text()
+    if (importedShow && typeof importedShow.show === 'string') {
+      URL.revokeObjectURL(importedShow.show)
+    }
+    const show = file.name.endsWith('.json') ? JSON.parse(text) : URL.createObjectURL(file)
+    importedShow = { show, source: file.name }
+    selectOption(elements.show, IMPORTED_SHOW, file.name)
+    showMessages([`Imported ${file.name}.`], false)
+  } catch (error) {
+    showMessages([`${file.name}: cannot be imported (${error.message})`])
+  }
+}
+
+/**
+ * Renders a show into numbered PNG files in a folder picked by the user.
+ * @param {string} name - Show name, prefixed to the file names.
+ * @param {string|object} show - The show, see `renderShow`.
+ * @param {import('../fireworks/showRenderer.js').RenderOptions} options - Render options.
+ * @returns {Promise<import('../fireworks/showRenderer.js').RenderResult>} What was rendered.
+ */
+const renderPngFrames = async (name, show, options) => {
+  if (!window.showDirectoryPicker) {
+    throw new Error('saving PNG frames needs a browser that can write to folders (e.g. Chrome)')
+  }
+  const folder = await window.showDirectoryPicker({ mode: 'readwrite' })
+  return renderShow(_app, _ticker, show, {
+    ...options,
+    onFrame: async (canvas, index) => {
+      options.onFrame(canvas, index)
+      const fileName = `${name}-${String(index).padStart(5, '0')}.png`
+      const file = await folder.getFileHandle(fileName, { create: true })
+      const writable = await file.createWritable()
+      await writable.write(await canvasToPng(canvas))
+      await writable.close()
+    }
+  })
+}
+
+/**
+ * Renders the show picked in the form, in the chosen output format.
+ */
+const startRender = async () => {
+  if (rendering) return
+  const { show, source } =
+    elements.show.value === IMPORTED_SHOW
+      ? importedShow
+      : { show: elements.show.value, source: elements.show.value }
+  const name = getShowName(source)
+  const fps = Number(elements.fps.value)
+  const seed = readSeed()
+  const options = {
+    fps,
+    seed,
+    onFrame: (canvas, index) => {
+      if (index % fps === 0) showMessages([`Rendering ${name}: ${index / fps} s…`], false)
+    }
+  }
+
+  rendering = true
+  elements.startButton.disabled = true
+  try {
+    let result
+    if (elements.format.value === 'webm') {
+      result = await recordShowWebm(_app, _ticker, show, options)
+      downloadFile(`${name}.webm`, result.video, 'video/webm')
+    } else {
+      result = await renderPngFrames(name, show, options)
+    }
+    const { frames, errors } = result
+    const isPreview = elements.format.value === 'webm'
+    showMessages(
+      [
+        `Rendered ${name}: ${frames} frames at ${fps} fps, seed ${seed}.`,
+        ...(isPreview ? ['WebM previews are not reproducible; render PNG frames to compare.'] : []),
+        ...errors.map((error) => formatShowError(error, source))
+      ],
+      errors.length > 0
+    )
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      showMessages(['Render cancelled.'], false) // The folder picker was closed.
+    } else {
+      console.error(`Error rendering fireworks show ${source}:`, error)
+      showMessages([`${source}: cannot be rendered (${error.message})`])
+    }
+  } finally {
+    rendering = false
+    elements.startButton.disabled = false
+  }
+}
+
+/**
+ * Presets the form from the page's query parameters.
+ */
+const applyQuery = () => {
+  const query = new URLSearchParams(window.location.search)
+  if (query.has('show')) selectOption(elements.show, query.get('show'), query.get('show'))
+  if (query.has('seed')) elements.seed.value = query.get('seed')
+  const fps = Number(query.get('fps'))
+  if (Number.isInteger(fps) && fps > 0) selectOption(elements.fps, String(fps), `${fps} fps`)
+}
+
+/**
+ * Initializes the renderer page.
+ * @param {PIXI.Application} app - The renderer's PixiJS application, which does not draw on its
+ *   own.
+ * @param {{tick: function(number): void}} ticker - The manual ticker driving the shared clock.
+ * @param {{x: number, y: number}} canvasCenter - The canvas center, origin of show coordinates.
+ */
+export async function initRenderPage(app, ticker, canvasCenter) {
+  _app = app
+  _ticker = ticker
+  await initFireworks(_app, canvasCenter)
+
+  const byId = (id) => document.getElementById(id)
+  elements = {
+    show: byId('renderShow'),
+    importShow: byId('importRenderShow'),
+    seed: byId('renderSeed'),
+    fps: byId('renderFps'),
+    format: byId('renderFormat'),
+    startButton: byId('startRender'),
+    messages: byId('renderMessages')
+  }
+  elements.seed.placeholder = DEFAULT_RENDER_SEED
+  applyQuery()
+
+  elements.importShow.addEventListener('change', () => {
+    const [file] = elements.importShow.files
+    elements.importShow.value = '' // Lets the same file be imported again.
+    if (file) importShow(file)
+  })
+  elements.startButton.addEventListener('click', startRender)
+
+  /**
+   * Renders a show for automated checks, e.g. reading chosen frames with `canvas.toDataURL()`
+   * from `onFrame` and comparing them with stored images.
+   * @param {string|object} show - URL of a show file, or a show object.
+   * @param {import('../fireworks/showRenderer.js').RenderOptions} [options] - Render options.
+   * @returns {Promise<import('../fireworks/showRenderer.js').RenderResult>} What was rendered.
+   */
+  window.renderFireworksShow = (show, options) => renderShow(_app, _ticker, show, options)
+
+  _app.renderer.render(_app.stage) // The canvas stays blank until the first frame otherwise.
+}
@@ -0,0 +1,813 @@
+import { Graphics } from 'pixi.js'
+import { initFireworks, createFirework } from '../fireworks/fireworks.js'
+import { createTimeline } from '../fireworks/timeline.js'
+import {
+  validateShowXml,
+  validateShowJsonText,
+  formatShowError,
+  COLOUR_PATTERN
+} from '../fireworks/showValidator.js'
+import { exportShowAsXml, exportShowAsJson, GROUND_Y } from '../fireworks/showBuilder.js'
+import { FIREWORK_TYPES, getFireworkType, isRocketType } from '../fireworks/fireworkTypes.js'
+import { toggleStatsOverlay, isStatsOverlayVisible } from '../fireworks/statsOverlay.js'
+import { setWind } from '../fireworks/physics.js'
+import { loop } from '../tween/tween.js'
+import { downloadFile } from '../utils/download.js'
+
+// --- Fireworks Show Editor ---
+// Authoring tool behind fireworksEditor.html. Fireworks are placed and aimed on the canvas
+// instead of typed as show coordinates (offsets from the canvas center with both axes inverted),
+// timed on a scrubbable timeline and previewed with the game's own effects and show timeline.
+// Shows are opened and exported in both show formats (see showValidator.js); older versions of
+// the format are exported in the current one.
+
+const GAME_SIZE = { width: 1280, height: 720 } // The game's canvas, outlined on stage.
+const DEFAULT_DURATION = { fountain: 3000, rocket: 1000 } // For new fireworks, by launch (ms).
+const DEFAULT_VELOCITY = { x: 0, y: 360 } // For new rockets: straight up (px/s).
+const HANDLE_RADIUS = 10 // Distance from a marker within which it can be grabbed (px).
+const BEGIN_STEP = 50 // Begin times snap to this step when dragged on the timeline (ms).
+const MIN_SHOW_LENGTH = 5000 // Shortest timeline, so an empty show can still be scrubbed (ms).
+const SHOW_TAIL = 3000 // Timeline room after the last launch ends, for explosions to fade (ms).
+
+// Global PixiJS references, injected during initialization.
+let _app
+let _canvasCenter
+
+const guides = new Graphics() // Game canvas outline and ground line, under the fireworks.
+const markers = new Graphics() // One marker per firework, above the fireworks.
+const bars = new Map() // Timeline bar of each firework.
+let elements // Cached DOM elements.
+
+let fireworks = [] // The show being edited, as timeline events (see timeline.js).
+let showName = 'fireworks' // File name used on export, taken from the last opened show.
+let wind = 0 // The show's wind (px/s²), blowing on the preview.
+let selected = null // Firework shown in the form.
+let tool = 'Rocket' // Type of the fireworks added by clicking the canvas.
+let time = 0 // Playhead position (ms).
+let pendingSeek = null // Scrubbed time, applied on the next tick so fast scrubbing stays smooth.
+let preview = null // Timeline playing the show; rebuilt after every edit.
+let drag = null // Firework part being dragged on the canvas.
+let parametersType = null // Type whose parameter fields are in the form.
+
+// --- Coordinates ---
+
+/**
+ * Converts show coordinates to a point on stage.
+ * @param {number} x - X-coordinate (relative to canvas center, inverted).
+ * @param {number} y - Y-coordinate (relative to canvas center, inverted).
+ * @returns {{x: number, y: number}} The point on stage.
+ */
+const toStage = (x, y) => ({ x: _canvasCenter.x - x, y: _canvasCenter.y - y })
+
+/**
+ * Converts a point on stage to whole show coordinates.
+ * @param {{x: number, y: number}} point - The point on stage.
+ * @returns {{x: number, y: number}} The show coordinates.
+ */
+const toShow = (point) => ({
+  x: Math.round(_canvasCenter.x - point.x),
+  y: Math.round(_canvasCenter.y - point.y)
+})
+
+/**
+ * Finds where a rocket explodes: its launch point moved by its velocity over its flight time.
+ * Rockets fly straight, ignoring gravity, drag and wind (see fireworks.js).
+ * @param {import('../fireworks/timeline.js').FireworkEvent} rocket - The rocket.
+ * @returns {{x: number, y: number}} The explosion point on stage.
+ */
+const getRocketHead = (rocket) => {
+  const launch = toStage(rocket.x, rocket.y)
+  const seconds = rocket.duration / 1000
+  return { x: launch.x + rocket.velocityX * seconds, y: launch.y - rocket.velocityY * seconds }
+}
+
+/**
+ * Sets a rocket's velocity so that it explodes at a point, keeping its flight time.
+ * @param {import('../fireworks/timeline.js').FireworkEvent} rocket - The rocket.
+ * @param {{x: number, y: number}} head - The explosion point on stage.
+ */
+const aimRocket = (rocket, head) => {
+  const launch = toStage(rocket.x, rocket.y)
+  const seconds = rocket.duration / 1000
+  rocket.velocityX = Math.round((head.x - launch.x) / seconds)
+  rocket.velocityY = Math.round((launch.y - head.y) / seconds)
+}
+
+const toCssColour = (colour) => `#${colour.slice(2).toLowerCase()}`
+const toShowColour = (colour) => `0x${colour.slice(colour.startsWith('#') ? 1 : 2).toUpperCase()}`
+
+/**
+ * @returns {number} Length of the timeline: the whole show plus room for its last effects (ms).
+ */
+const getShowLength = () =>
+  Math.max(
+    MIN_SHOW_LENGTH,
+    ...fireworks.map((firework) => firework.begin + firework.duration + SHOW_TAIL)
+  )
+
+// --- Preview ---
+
+/**
+ * Replaces the preview with one of the current show, at the playhead and playing if the
+ * previous one was.
+ */
+const rebuildPreview = () => {
+  const wasPlaying = preview !== null && preview.playing
+  if (preview) preview.stop()
+
+  preview = createTimeline(createFirework)
+  preview.onComplete(renderTransport)
+  preview.load(fireworks)
+  preview.seek(time)
+  if (wasPlaying) preview.play()
+}
+
+/**
+ * Moves the playhead, rebuilding the fireworks under way at that time.
+ * @param {number} ms - The new show time.
+ */
+const seekPreview = (ms) => {
+  time = Math.max(0, ms)
+  if (preview.ended) {
+    rebuildPreview()
+  } else {
+    preview.seek(time)
+  }
+  renderPlayhead()
+  drawMarkers()
+}
+
+const togglePlay = () => {
+  if (preview.playing) {
+    preview.pause()
+  } else {
+    if (preview.ended) {
+      time = 0 // Replays a finished show from the start.
+      rebuildPreview()
+    }
+    preview.play()
+  }
+  renderTransport()
+}
+
+const rewind = () => {
+  if (preview.playing) preview.pause()
+  seekPreview(0)
+  renderTransport()
+}
+
+/**
+ * Follows the preview on every tick: moves the playhead and applies scrubbing.
+ */
+const update = () => {
+  if (pendingSeek !== null) {
+    seekPreview(pendingSeek)
+    pendingSeek = null
+  }
+  if (preview.playing) {
+    time = preview.time
+    renderPlayhead()
+    drawMarkers()
+  }
+}
+
+// --- Rendering ---
+
+const drawGuides = () => {
+  const left = _canvasCenter.x - GAME_SIZE.width / 2
+  const top = _canvasCenter.y - GAME_SIZE.height / 2
+  const ground = toStage(0, GROUND_Y).y
+
+  guides.clear()
+  guides.lineStyle(2, 0xffffff, 0.35)
+  guides.drawRect(left, top, GAME_SIZE.width, GAME_SIZE.height)
+  guides.lineStyle(1, 0xffffff, 0.2)
+  guides.moveTo(0, ground)
+  guides.lineTo(_app.renderer.width, ground)
+}
+
+/**
+ * Draws every firework: a triangle at a fountain's base, and a line from a rocket's launch
+ * point to where it explodes. Fireworks not under way at the playhead are dimmed.
+ */
+const drawMarkers = () => {
+  markers.clear()
+  fireworks.forEach((firework) => {
+    const colour = parseInt(firework.colour, 16)
+    const isSelected = firework === selected
+    const underWay = time >= firework.begin && time <= firework.begin + firework.duration
+    const alpha = isSelected || underWay ? 1 : 0.4
+    const base = toStage(firework.x, firework.y)
+    const size = HANDLE_RADIUS * 0.7
+
+    markers.lineStyle(isSelected ? 3 : 1, isSelected ? 0xffffff : colour, alpha)
+    if (isRocketType(firework.type)) {
+      const head = getRocketHead(firework)
+      markers.moveTo(base.x, base.y)
+      markers.lineTo(head.x, head.y)
+      markers.beginFill(colour, alpha)
+      markers.drawCircle(base.x, base.y, size * 0.6)
+      markers.drawStar(head.x, head.y, 5, size, size / 2)
+      markers.endFill()
+    } else {
+      markers.beginFill(colour, alpha)
+      markers.drawPolygon([
+        base.x,
+        base.y - size,
+        base.x - size,
+        base.y + size,
+        base.x + size,
+        base.y + size
+      ])
+      markers.endFill()
+    }
+  })
+}
+
+const toPercent = (ms, length) => `${(ms / length) * 100}%`
+
+const renderPlayhead = () => {
+  const length = getShowLength()
+  elements.scrubber.max = length
+  elements.scrubber.value = time
+  elements.showTime.textContent = `${(time / 1000).toFixed(2)} s`
+  elements.playhead.style.left = toPercent(Math.min(time, length), length)
+}
+
+const renderTransport = () => {
+  elements.playButton.textContent = preview.playing ? 'Pause' : 'Play'
+}
+
+/**
+ * Rebuilds the timeline: one row per firework, with a bar from its begin time to the end of
+ * its emission or flight.
+ */
+const renderTrack = () => {
+  const length = getShowLength()
+  bars.forEach((bar) => bar.parentElement.remove())
+  bars.clear()
+
+  fireworks.forEach((firework) => {
+    const row = document.createElement('div')
+    row.className = 'editor-track-row'
+    const bar = document.createElement('div')
+    bar.className = 'editor-bar'
+    bar.classList.toggle('selected', firework === selected)
+    bar.style.left = toPercent(firework.begin, length)
+    bar.style.width = toPercent(firework.duration, length)
+    bar.style.backgroundColor = toCssColour(firework.colour)
+    bar.textContent = firework.type
+    bar.title = `${firework.type} ${firework.colour}, ${firework.begin}–${
+      firework.begin + firework.duration
+    } ms`
+    bar.addEventListener('pointerdown', (event) => startBarDrag(event, firework, bar))
+    row.appendChild(bar)
+    elements.track.appendChild(row)
+    bars.set(firework, bar)
+  })
+  renderPlayhead()
+}
+
+/**
+ * Creates the form field of a type parameter; left empty, the parameter takes its default.
+ * @param {string} name - Parameter name.
+ * @param {import('../fireworks/fireworkTypes.js').ParameterDefinition} definition - The
+ *   parameter.
+ * @returns {HTMLLabelElement} The labelled field, whose input is named after the parameter.
+ */
+const createParameterField = (name, definition) => {
+  const label = document.createElement('label')
+  label.title = definition.description
+  label.append(`${name} `)
+
+  let input
+  if (definition.kind === 'choice') {
+    input = document.createElement('select')
+    input.className = 'editor-select'
+    ;['', ...definition.values].forEach((value) => {
+      const option = document.createElement('option')
+      option.value = value
+      option.textContent = value || `(${definition.default})`
+      input.appendChild(option)
+    })
+  } else {
+    input = document.createElement('input')
+    if (definition.kind === 'colours') {
+      input.type = 'text'
+      input.placeholder = definition.default.join(' ')
+    } else {
+      input.type = 'number'
+      input.min = definition.min
+      input.max = definition.max
+      input.step = definition.kind === 'integer' ? 1 : 'any'
+      input.placeholder = definition.default
+    }
+  }
+  input.name = name
+  input.addEventListener('change', applyForm)
+  label.appendChild(input)
+  return label
+}
+
+/**
+ * Fills the parameter fields of the selected firework, first creating them if its type changed.
+ */
+const renderParameters = () => {
+  const { parameters } = getFireworkType(selected.type)
+  if (parametersType !== selected.type) {
+    parametersType = selected.type
+    elements.parameters.replaceChildren(
+      ...Object.entries(parameters).map(([name, definition]) =>
+        createParameterField(name, definition)
+      )
+    )
+  }
+  elements.parameters.querySelectorAll('[name]').forEach((input) => {
+    const value = selected.parameters[input.name]
+    input.value = value === undefined ? '' : [value].flat().join(' ')
+  })
+}
+
+/**
+ * Reads a parameter field.
+ * @param {import('../fireworks/fireworkTypes.js').ParameterDefinition} definition - The
+ *   parameter.
+ * @param {HTMLInputElement|HTMLSelectElement} input - Its field.
+ * @returns {*} The value, brought within the parameter's limits, or undefined when the field is
+ *   empty or holds nothing valid, leaving the parameter to its default.
+ */
+const readParameter = (definition, input) => {
+  const text = input.value.trim()
+  if (text === '') return undefined
+  if (definition.kind === 'choice') return text
+  if (definition.kind === 'colours') {
+    const colours = text.split(/[\s,]+/).filter((colour) => COLOUR_PATTERN.test(colour))
+    return colours.length > 0 ? colours.map(toShowColour) : undefined
+  }
+  const number = parseFloat(text)
+  if (!Number.isFinite(number)) return undefined
+  const value = definition.kind === 'integer' ? Math.round(number) : number
+  return Math.min(definition.max, Math.max(definition.min, value))
+}
+
+const renderForm = () => {
+  elements.hint.hidden = selected !== null
+  elements.form.hidden = selected === null
+  if (!selected) return
+
+  const { fields } = elements
+  fields.type.value = selected.type
+  fields.colour.value = toCssColour(selected.colour)
+  fields.begin.value = selected.begin
+  fields.duration.value = selected.duration
+  fields.x.value = selected.x
+  fields.y.value = selected.y
+  fields.velocityX.value = selected.velocityX
+  fields.velocityY.value = selected.velocityY
+  fields.velocityX.disabled = fields.velocityY.disabled = !isRocketType(selected.type)
+  renderParameters()
+}
+
+/**
+ * Lists messages under the form, e.g. the problems found in an opened show.
+ * @param {string[]} messages - The messages; an empty list clears them.
+ * @param {boolean} [isError=true] - Styles the messages as errors.
+ */
+const showMessages = (messages, isError = true) => {
+  elements.messages.replaceChildren(
+    ...messages.map((message) => {
+      const item = document.createElement('li')
+      item.textContent = message
+      item.classList.toggle('error', isError)
+      return item
+    })
+  )
+}
+
+// --- Editing ---
+
+/**
+ * Redraws everything after the show has changed and rebuilds the preview.
+ */
+const commit = () => {
+  drawMarkers()
+  renderForm()
+  renderTrack()
+  rebuildPreview()
+}
+
+/**
+ * @param {import('../fireworks/timeline.js').FireworkEvent|null} firework - The firework to
+ *   edit in the form, or null to clear the selection.
+ */
+const select = (firework) => {
+  selected = firework
+  bars.forEach((bar, barFirework) => bar.classList.toggle('selected', barFirework === selected))
+  renderForm()
+  drawMarkers()
+}
+
+const deleteSelected = () => {
+  if (!selected) return
+  fireworks = fireworks.filter((firework) => firework !== selected)
+  selected = null
+  commit()
+}
+
+/**
+ * Sets the show's wind, blowing on the preview from now on.
+ * @param {number} acceleration - Horizontal acceleration (px/s², positive to the right).
+ */
+const applyWind = (acceleration) => {
+  wind = acceleration
+  elements.wind.value = wind
+  setWind(wind)
+}
+
+/**
+ * Replaces the show being edited.
+ * @param {import('../fireworks/timeline.js').FireworkEvent[]} loaded - The show's fireworks.
+ * @param {string} name - File name for exports, without extension.
+ * @param {number} [loadedWind=0] - The show's wind (px/s²).
+ */
+const setShow = (loaded, name, loadedWind = 0) => {
+  fireworks = [...loaded].sort((a, b) => a.begin - b.begin)
+  showName = name
+  applyWind(loadedWind)
+  selected = null
+  time = 0
+  if (preview) preview.pause()
+  commit()
+  renderTransport()
+}
+
+/**
+ * Validates a show file and opens its valid fireworks, listing the problems found.
+ * @param {string} text - The show file's contents.
+ * @param {string} fileName - The show's file name; `.json` files are read as JSON shows.
+ */
+const openShow = (text, fileName) => {
+  const isJson = fileName.endsWith('.json')
+  const show = isJson ? validateShowJsonText(text) : validateShowXml(text)
+  setShow(show.fireworks, fileName.replace(/^.*\//, '').replace(/\.[^.]*$/, ''), show.wind)
+  showMessages(show.errors.map((error) => formatShowError(error, fileName)))
+}
+
+/**
+ * Fetches and opens one of the shows shipped with the game.
+ * @param {string} url - Location of the show.
+ */
+const openShippedShow = async (url) => {
+  try {
+    const response = await fetch(url)
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+    openShow(await response.text(), url)
+  } catch (error) {
+    console.error(`Error fetching fireworks show ${url}:`, error)
+    showMessages([`${url}: cannot be opened (${error.message})`])
+  }
+}
+
+/**
+ * Downloads the show in a show format, after checking that the file reads back as a valid show.
+ * @param {'xml'|'json'} format - The show format.
+ */
+const exportShow = (format) => {
+  const isJson = format === 'json'
+  const text = isJson ? exportShowAsJson(fireworks, { wind }) : exportShowAsXml(fireworks, { wind })
+  const fileName = `${showName}.${format}`
+  const { errors } = isJson ? validateShowJsonText(text) : validateShowXml(text)
+  if (errors.length > 0) {
+    showMessages(errors.map((error) => formatShowError(error, fileName)))
+    return
+  }
+  downloadFile(fileName, text, isJson ? 'application/json' : 'application/xml')
+  showMessages([`Exported ${fileName} (${fireworks.length} fireworks).`], false)
+}
+
+/**
+ * Applies the form to the selected firework. Fields left empty or invalid keep their value,
+ * except parameters, which go back to their defaults.
+ */
+const applyForm = () => {
+  const { fields } = elements
+  const readWhole = (input, min, fallback) => {
+    const value = Math.round(parseFloat(input.value))
+    return Number.isFinite(value) ? Math.max(min, value) : fallback
+  }
+  // Velocities keep their decimals, which shows migrated from older versions may have.
+  const readNumber = (input, fallback) => {
+    const value = parseFloat(input.value)
+    return Number.isFinite(value) ? value : fallback
+  }
+
+  // Parameters are read before a type change, when their fields still match the type.
+  const { parameters } = getFireworkType(parametersType)
+  selected.parameters = {}
+  elements.parameters.querySelectorAll('[name]').forEach((input) => {
+    const value = readParameter(parameters[input.name], input)
+    if (value !== undefined) selected.parameters[input.name] = value
+  })
+  if (fields.type.value !== selected.type) {
+    // Parameters the new type shares keep their value (e.g. a trail); the others are dropped.
+    const shared = getFireworkType(fields.type.value).parameters
+    selected.parameters = Object.fromEntries(
+      Object.entries(selected.parameters).filter(([name]) => Object.hasOwn(shared, name))
+    )
+    selected.type = fields.type.value
+  }
+  selected.colour = toShowColour(fields.colour.value)
+  selected.begin = readWhole(fields.begin, 0, selected.begin)
+  selected.duration = readWhole(fields.duration, 1, selected.duration)
+  selected.x = readWhole(fields.x, -Infinity, selected.x)
+  selected.y = readWhole(fields.y, -Infinity, selected.y)
+  selected.velocityX = readNumber(fields.velocityX, selected.velocityX)
+  selected.velocityY = readNumber(fields.velocityY, selected.velocityY)
+  if (isRocketType(selected.type) && selected.velocityX === 0 && selected.velocityY === 0) {
+    // A fountain turned into a rocket would otherwise explode where it stands.
+    selected.velocityX = DEFAULT_VELOCITY.x
+    selected.velocityY = DEFAULT_VELOCITY.y
+  }
+  commit()
+}
+
+// --- Canvas Interaction ---
+
+/**
+ * Finds the firework part under a point: a rocket's head or any firework's base.
+ * The selected firework wins, then the most recently added one.
+ * @param {{x: number, y: number}} point - The point on stage.
+ * @returns {{firework: object, part: 'base'|'head'}|null} The part, or null if none is there.
+ */
+const findHandle = (point) => {
+  const candidates = [selected, ...[...fireworks].reverse()].filter(Boolean)
+  const isNear = (target) => Math.hypot(point.x - target.x, point.y - target.y) <= HANDLE_RADIUS
+
+  for (const firework of candidates) {
+    if (isRocketType(firework.type) && isNear(getRocketHead(firework))) {
+      return { firework, part: 'head' }
+    }
+    if (isNear(toStage(firework.x, firework.y))) return { firework, part: 'base' }
+  }
+  return null
+}
+
+/**
+ * Moves a firework's base to a point, on the ground if launches are snapped to it.
+ * @param {object} firework - The firework.
+ * @param {{x: number, y: number}} point - The point on stage.
+ */
+const placeBase = (firework, point) => {
+  const { x, y } = toShow(point)
+  firework.x = x
+  firework.y = elements.snapToGround.checked ? GROUND_Y : y
+}
+
+/**
+ * Grabs the firework part under the pointer, or adds a firework of the current tool there,
+ * starting at the playhead. A new rocket is aimed by dragging before the button is released.
+ * @param {PIXI.FederatedPointerEvent} event - The pointer event.
+ */
+const onPointerDown = (event) => {
+  const point = { x: event.global.x, y: event.global.y }
+  const handle = findHandle(point)
+  if (handle) {
+    drag = { ...handle, moved: false }
+    select(handle.firework)
+    return
+  }
+
+  const isRocket = isRocketType(tool)
+  const firework = {
+    begin: Math.round(time),
+    type: tool,
+    colour: toShowColour(elements.newColour.value),
+    duration: DEFAULT_DURATION[getFireworkType(tool).launch],
+    x: 0,
+    y: 0,
+    velocityX: isRocket ? DEFAULT_VELOCITY.x : 0,
+    velocityY: isRocket ? DEFAULT_VELOCITY.y : 0,
+    parameters: {}
+  }
+  placeBase(firework, point)
+  fireworks.push(firework)
+  drag = { firework, part: isRocket ? 'head' : 'base', moved: true }
+  select(firework)
+}
+
+const onPointerMove = (event) => {
+  if (!drag) return
+  const point = { x: event.global.x, y: event.global.y }
+  if (drag.part === 'head') {
+    aimRocket(drag.firework, point)
+  } else {
+    placeBase(drag.firework, point)
+  }
+  drag.moved = true
+  drawMarkers()
+  renderForm()
+}
+
+const onPointerUp = () => {
+  if (!drag) return
+  const { moved } = drag
+  drag = null
+  if (moved) commit()
+}
+
+/**
+ * Drags a timeline bar to change its firework's begin time.
+ * @param {PointerEvent} event - The pointerdown event on the bar.
+ * @param {object} firework - The bar's firework.
+ * @param {HTMLElement} bar - The bar.
+ */
+const startBarDrag = (event, firework, bar) => {
+  event.preventDefault()
+  event.stopPropagation() // Not a scrub of the track behind.
+  select(firework)
+
+  const startX = event.clientX
+  const startBegin = firework.begin
+  const length = getShowLength() // Kept while dragging, so the bar follows the pointer.
+  const width = elements.track.clientWidth
+  let moved = false
+  bar.setPointerCapture(event.pointerId)
+
+  const onMove = (moveEvent) => {
+    const offset = ((moveEvent.clientX - startX) / width) * length
+    const begin = Math.max(0, Math.round((startBegin + offset) / BEGIN_STEP) * BEGIN_STEP)
+    if (begin === firework.begin) return
+    firework.begin = begin
+    moved = true
+    bar.style.left = toPercent(begin, length)
+    renderForm()
+    drawMarkers()
+  }
+  const onUp = () => {
+    bar.removeEventListener('pointermove', onMove)
+    bar.removeEventListener('pointerup', onUp)
+    bar.removeEventListener('pointercancel', onUp)
+    if (moved) commit()
+  }
+  bar.addEventListener('pointermove', onMove)
+  bar.addEventListener('pointerup', onUp)
+  bar.addEventListener('pointercancel', onUp)
+}
+
+/**
+ * Moves the playhead to where the timeline track was clicked.
+ * @param {PointerEvent} event - The pointerdown event on the track.
+ */
+const scrubTrack = (event) => {
+  const { left, width } = elements.track.getBoundingClientRect()
+  pendingSeek = Math.round(((event.clientX - left) / width) * getShowLength())
+}
+
+const selectTool = (type) => {
+  tool = type
+  ;[...elements.tools.children].forEach((button) =>
+    button.setAttribute('aria-pressed', String(button.dataset.tool === type))
+  )
+}
+
+/**
+ * Keyboard shortcuts, outside form controls: Space plays or pauses, Delete removes the selected
+ * firework and Escape clears the selection.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+const onKeyDown = (event) => {
+  if (event.target.closest('input, select, textarea, button')) return
+  if (event.key === ' ') {
+    event.preventDefault()
+    togglePlay()
+  } else if (event.key === 'Delete' || event.key === 'Backspace') {
+    deleteSelected()
+  } else if (event.key === 'Escape') {
+    select(null)
+  }
+}
+
+// --- Initialization ---
+
+const cacheElements = () => {
+  const byId = (id) => document.getElementById(id)
+  elements = {
+    tools: byId('fireworkTools'),
+    newColour: byId('newColour'),
+    snapToGround: byId('snapToGround'),
+    shippedShows: byId('shippedShows'),
+    importShow: byId('importShow'),
+    newShow: byId('newShow'),
+    exportXml: byId('exportXml'),
+    exportJson: byId('exportJson'),
+    windForm: byId('showForm'),
+    wind: byId('showWind'),
+    hint: byId('noSelection'),
+    form: byId('fireworkForm'),
+    fields: {
+      type: byId('fireworkType'),
+      colour: byId('fireworkColour'),
+      begin: byId('fireworkBegin'),
+      duration: byId('fireworkDuration'),
+      x: byId('fireworkX'),
+      y: byId('fireworkY'),
+      velocityX: byId('fireworkVelocityX'),
+      velocityY: byId('fireworkVelocityY')
+    },
+    parameters: byId('fireworkParameters'),
+    deleteButton: byId('deleteFirework'),
+    messages: byId('editorMessages'),
+    playButton: byId('playShow'),
+    rewindButton: byId('rewindShow'),
+    scrubber: byId('scrubber'),
+    showTime: byId('showTime'),
+    showStats: byId('showStats'),
+    track: byId('timelineTrack'),
+    playhead: byId('timelinePlayhead')
+  }
+}
+
+const attachListeners = () => {
+  // Every registered firework type can be added and picked in the form.
+  Object.keys(FIREWORK_TYPES).forEach((type) => {
+    const button = document.createElement('button')
+    button.className = 'editor-button'
+    button.dataset.tool = type
+    button.textContent = type
+    button.title = FIREWORK_TYPES[type].description
+    button.addEventListener('click', () => selectTool(type))
+    elements.tools.appendChild(button)
+
+    const option = document.createElement('option')
+    option.textContent = type
+    elements.fields.type.appendChild(option)
+  })
+  elements.shippedShows.addEventListener('change', () => {
+    const url = elements.shippedShows.value
+    elements.shippedShows.value = ''
+    if (url) openShippedShow(url)
+  })
+  elements.importShow.addEventListener('change', async () => {
+    const [file] = elements.importShow.files
+    elements.importShow.value = '' // Lets the same file be imported again.
+    if (file) openShow(await file.text(), file.name)
+  })
+  elements.newShow.addEventListener('click', () => {
+    if (fireworks.length > 0 && !window.confirm('Discard the current show?')) return
+    setShow([], 'fireworks')
+    showMessages([])
+  })
+  elements.exportXml.addEventListener('click', () => exportShow('xml'))
+  elements.exportJson.addEventListener('click', () => exportShow('json'))
+
+  elements.wind.addEventListener('change', () => {
+    const value = parseFloat(elements.wind.value)
+    applyWind(Number.isFinite(value) ? value : wind)
+    rebuildPreview()
+  })
+  elements.windForm.addEventListener('submit', (event) => event.preventDefault())
+  elements.form.addEventListener('submit', (event) => event.preventDefault())
+  Object.values(elements.fields).forEach((field) => field.addEventListener('change', applyForm))
+  elements.deleteButton.addEventListener('click', deleteSelected)
+
+  elements.playButton.addEventListener('click', togglePlay)
+  elements.rewindButton.addEventListener('click', rewind)
+  elements.scrubber.addEventListener('input', () => {
+    pendingSeek = Number(elements.scrubber.value)
+  })
+  elements.track.addEventListener('pointerdown', scrubTrack)
+  elements.showStats.checked = isStatsOverlayVisible() // Shown from the start with `?fps`.
+  elements.showStats.addEventListener('change', () =>
+    toggleStatsOverlay(elements.showStats.checked)
+  )
+  document.addEventListener('keydown', onKeyDown)
+
+  _app.stage.eventMode = 'static'
+  _app.stage.hitArea = _app.screen
+  _app.stage.cursor = 'crosshair'
+  _app.stage.on('pointerdown', onPointerDown)
+  _app.stage.on('pointermove', onPointerMove)
+  _app.stage.on('pointerup', onPointerUp)
+  _app.stage.on('pointerupoutside', onPointerUp)
+}
+
+/**
+ * Initializes the editor and opens the game's default show.
+ * @param {PIXI.Application} app - The editor's PixiJS application.
+ * @param {{x: number, y: number}} canvasCenter - The canvas center, origin of show coordinates.
+ */
+export async function initShowEditor(app, canvasCenter) {
+  _app = app
+  _canvasCenter = canvasCenter
+  await initFireworks(_app, _canvasCenter)
+
+  drawGuides()
+  _app.stage.addChild(guides, markers)
+  cacheElements()
+  attachListeners()
+  selectTool(tool)
+
+  setShow([], showName)
+  loop(update)
+  await openShippedShow('./data/fireworks.xml')
+}
@@ -0,0 +1,31 @@
+import { createRng, getSeed } from '../rng/rng.js'
+
+// --- Fireworks Randomness ---
+// Effects draw from their own generator: how many numbers a show draws depends on how long it
+// runs and when the player skips it, so drawing from the shared game RNG would change spin
+// outcomes. It starts from the game's seed, so a `?seed=` session replays its fireworks too.
+
+let _rng = createRng(getSeed())
+
+/**
+ * Re-seeds the effects generator, e.g. so an offline render draws the same fireworks every time.
+ * @param {number|string} seed - The new seed.
+ */
+export function setEffectsSeed(seed) {
+  _rng = createRng(seed)
+}
+
+/**
+ * @returns {number} A float in the range [0, 1).
+ */
+export function random() {
+  return _rng.random()
+}
+
+/**
+ * @param {number} max - Exclusive upper bound.
+ * @returns {number} An integer in the range [0, max).
+ */
+export function randomInt(max) {
+  return _rng.randomInt(max)
+}
@@ -1,79 +1,163 @@
-import { Sprite } from 'pixi.js'
+import * as RNG from './effectsRng.js'
+import * as Audio from '../audio/audio.js'
+import { createParticleGroup } from './particleSystem.js'
+import { getFireworkType, resolveParameters } from './fireworkTypes.js'
 
-/**
- * Creates a visual explosion effect at a specified location.
- * Generates a burst of particles that expand and fade.
- * @param {PIXI.Application} app - The main PixiJS application instance.
- * @param {number} x - X-coordinate for the center of the explosion.
- * @param {number} y - Y-coordinate for the center of the explosion.
- * @param {string} colour - Hexadecimal color code for the explosion particles.
- */
-export const explodeRocket = (app, x, y, colour) => {
-  const explosionSize = 500 // Number of particles to generate for the explosion.
-  const explosionSpeed = 7 // Maximum initial speed of particles.
-  let explosionLife = 200 // Duration of the explosion animation in frames.
-  const particleTexture = PIXI.Texture.from('assets/rocket.png')
-
-  // Array to manage all active particles within this explosion.
-  const particles = []
-
-  // Particle generation loop.
-  for (let i = 0; i < explosionSize; i++) {
-    const particle = new Sprite(particleTexture)
-    particle.tint = parseInt(colour, 16) // Apply specified color.
-    particle.anchor.set(0.5) // Center the particle's origin.
-    particle.scale.set(0.5) // Initial size of particles.
+const STAR_TEXTURE = 'star' // Texture name in particleSystem.js.
 
-    // Initialize particle position at the explosion center.
-    particle.x = x
-    particle.y = y
+const randomAngle = () => RNG.random() * Math.PI * 2 // Random angle in radians (0 to 360 degrees).
 
-    // Assign random velocity for radial expansion.
-    const speed = Math.random() * explosionSpeed
-    const angle = Math.random() * Math.PI * 2 // Random angle in radians (0 to 360 degrees).
-    particle.vx = Math.cos(angle) * speed
-    particle.vy = Math.sin(angle) * speed
+// --- Burst Shapes ---
+// Each fills a particle group with the stars of an explosion centered on (x, y), from the
+// firework's colour and the parameters of its type. Types pick their shape by name in
+// fireworkTypes.js. Units are those of physics.js: px/s, px/s² and rates per second.
 
-    app.stage.addChild(particle) // Add particle to the stage.
-    particles.push(particle) // Track the particle.
-  }
-
-  let animationFrameId // To store the ID returned by requestAnimationFrame.
+const BURSTS = {
+  /**
+   * Stars thrown at random speeds in every direction, shrinking away. With `colours`, each
+   * star takes one of them at random instead of the firework's colour.
+   */
+  peony: (group, x, y, colour, { particles, speed, colours }) => {
+    const tints = colours ? colours.map((tint) => parseInt(tint, 16)) : [colour]
+    for (let i = 0; i < particles; i++) {
+      const starSpeed = RNG.random() * speed
+      const angle = randomAngle()
+      group.emit({
+        texture: STAR_TEXTURE,
+        tint: tints.length > 1 ? tints[RNG.randomInt(tints.length)] : tints[0],
+        x,
+        y,
+        vx: Math.cos(angle) * starSpeed,
+        vy: Math.sin(angle) * starSpeed,
+        life: 1500,
+        growth: -3,
+        fadeFrom: 0.5
+      })
+    }
+  },
 
   /**
-   * Update function for the explosion animation, called per frame.
-   * Manages particle movement, scaling, and eventual removal.
+   * Stars evenly spaced on a ring that widens, slows down and droops; `aspect` flattens it
+   * vertically, as if tilted away from the viewer.
    */
-  const update = () => {
-    // Update each particle's position and scale.
-    particles.forEach((particle) => {
-      particle.x += particle.vx
-      particle.y += particle.vy
-      particle.scale.x *= 0.95 // Gradually shrink particles.
-      particle.scale.y *= 0.95
-      // particle.alpha *= 0.99; // Optional: uncomment to make particles fade out.
-    })
+  ring: (group, x, y, colour, { particles, speed, aspect }) => {
+    const offset = randomAngle()
+    for (let i = 0; i < particles; i++) {
+      const angle = offset + (i / particles) * Math.PI * 2
+      const starSpeed = speed * (0.95 + RNG.random() * 0.1) // Slightly uneven, like real stars.
+      group.emit({
+        texture: STAR_TEXTURE,
+        tint: colour,
+        x,
+        y,
+        vx: Math.cos(angle) * starSpeed,
+        vy: Math.sin(angle) * starSpeed * aspect,
+        life: 1800,
+        drag: 1.8,
+        gravity: 72,
+        growth: -0.6,
+        fadeFrom: 0.5
+      })
+    }
+  },
 
-    explosionLife-- // Decrement explosion duration counter.
+  /**
+   * Slow, small stars that hang in the air and droop under gravity, fading for most of their
+   * life.
+   */
+  willow: (group, x, y, colour, { particles, speed, gravity, life }) => {
+    for (let i = 0; i < particles; i++) {
+      const starSpeed = Math.sqrt(RNG.random()) * speed // Spread evenly over the burst's disc.
+      const angle = randomAngle()
+      group.emit({
+        texture: STAR_TEXTURE,
+        tint: colour,
+        x,
+        y,
+        vx: Math.cos(angle) * starSpeed,
+        vy: Math.sin(angle) * starSpeed,
+        life,
+        scale: 0.35,
+        drag: 1.8,
+        gravity,
+        growth: -0.06,
+        fadeFrom: 0.2
+      })
+    }
+  },
 
-    // Remove particles when explosion life ends.
-    // Iterating backwards ensures safe removal during loop.
-    for (let i = particles.length - 1; i >= 0; i--) {
-      const particle = particles[i]
-      if (explosionLife <= 0) {
-        // Particles are removed collectively when explosionLife reaches zero.
-        app.stage.removeChild(particle)
-        particle.destroy() // Clean up PixiJS resources.
-        particles.splice(i, 1) // Remove from tracking array.
+  /**
+   * A few large stars that each split into a cross of smaller ones after `splitDelay`.
+   */
+  crossette: (group, x, y, colour, { particles, speed, splits, splitDelay }) => {
+    const split = (star) => {
+      const offset = randomAngle()
+      for (let i = 0; i < splits; i++) {
+        const angle = offset + (i / splits) * Math.PI * 2
+        group.emit({
+          texture: STAR_TEXTURE,
+          tint: colour,
+          x: star.x,
+          y: star.y,
+          vx: Math.cos(angle) * speed * 0.6,
+          vy: Math.sin(angle) * speed * 0.6,
+          life: 900,
+          scale: 0.4,
+          drag: 3,
+          gravity: 108,
+          growth: -0.6,
+          fadeFrom: 0.4
+        })
       }
     }
 
-    // Continue animation if there are still active particles.
-    if (particles.length > 0) {
-      animationFrameId = requestAnimationFrame(update)
+    const offset = randomAngle()
+    for (let i = 0; i < particles; i++) {
+      const angle = offset + (i / particles) * Math.PI * 2
+      group.emit({
+        texture: STAR_TEXTURE,
+        tint: colour,
+        x,
+        y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        life: splitDelay,
+        scale: 0.6,
+        drag: 1.2,
+        gravity: 72,
+        onExpire: split
+      })
     }
   }
+}
+
+/**
+ * Creates the explosion of a rocket at a specified location, shaped by the rocket's type.
+ * Its particles are advanced by the caller through `update`; when the particle budget runs
+ * short, the burst gets fewer stars (see particleSystem.js).
+ * @param {number} x - X-coordinate for the center of the explosion.
+ * @param {number} y - Y-coordinate for the center of the explosion.
+ * @param {string} colour - Hexadecimal color code for the explosion particles.
+ * @param {object} [options] - Explosion options.
+ * @param {boolean} [options.silent=false] - Skips the bang, e.g. while a show is being seeked.
+ * @param {string} [options.type='Rocket'] - Rocket type, which picks the burst shape (see
+ *   fireworkTypes.js).
+ * @param {object} [options.parameters] - Type parameters set by the show; the others take the
+ *   type's defaults.
+ * @returns {{update: function(number): boolean, destroy: function(): void}} The explosion:
+ *   `update` advances it and returns true once its particles are gone, and `destroy` returns
+ *   them to the pool immediately.
+ */
+export const explodeRocket = (
+  x,
+  y,
+  colour,
+  { silent = false, type = 'Rocket', parameters } = {}
+) => {
+  if (!silent) Audio.playBang()
 
-  // Start the explosion animation loop.
-  animationFrameId = requestAnimationFrame(update)
+  const group = createParticleGroup()
+  const { burst } = getFireworkType(type)
+  BURSTS[burst](group, x, y, parseInt(colour, 16), resolveParameters(type, parameters))
+  return { update: group.update, destroy: group.destroy }
 }
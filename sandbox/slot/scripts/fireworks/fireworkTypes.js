@@ -0,0 +1,174 @@
+// --- Firework Type Registry ---
+// Every firework type a show can use, by the name written in its `type`. A type says how the
+// firework is launched (a fountain on the ground, or a rocket that bursts at the end of its
+// flight), which burst shape a rocket explodes into (see explodeRocket.js) and the parameters a
+// show can tune in its <Parameters> element or "parameters" object (see showValidator.js).
+// Free of PixiJS, so shows can be validated in Node too.
+
+/**
+ * A tunable parameter of a firework type. Shows may leave it out to use its default.
+ * @typedef {object} ParameterDefinition
+ * @property {'integer'|'number'|'choice'|'colours'} kind - Whole number, number, one of
+ *   `values`, or a list of hex colours like '0xFF2020' (space-separated in XML).
+ * @property {number|string|string[]} default - Value used when the show leaves it out.
+ * @property {number} [min] - Smallest valid value of numeric parameters.
+ * @property {number} [max] - Largest valid value of numeric parameters.
+ * @property {string[]} [values] - Valid values of choice parameters.
+ * @property {string} description - What the parameter changes, shown in the editor.
+ */
+
+/**
+ * @typedef {object} FireworkType
+ * @property {'fountain'|'rocket'} launch - Emitted from the ground, or flown and exploded.
+ * @property {string} [burst] - Burst shape of rockets, see explodeRocket.js.
+ * @property {string} description - What the firework looks like.
+ * @property {Object<string, ParameterDefinition>} parameters - Parameters by name.
+ */
+
+const trail = {
+  kind: 'choice',
+  values: ['none', 'smoke', 'sparks'],
+  default: 'none',
+  description: 'Trail left by the rocket in flight.'
+}
+const particles = (defaultCount) => ({
+  kind: 'integer',
+  min: 1,
+  max: 2000,
+  default: defaultCount,
+  description: 'Number of stars in the burst.'
+})
+const speed = (defaultSpeed) => ({
+  kind: 'number',
+  min: 0,
+  max: 3000,
+  default: defaultSpeed,
+  description: 'Top speed of the stars (px/s).'
+})
+
+/**
+ * The firework types, by name.
+ * @type {Object<string, FireworkType>}
+ */
+export const FIREWORK_TYPES = {
+  Fountain: {
+    launch: 'fountain',
+    description: 'A jet of sparks from the ground, for the duration of the firework.',
+    parameters: {}
+  },
+  Rocket: {
+    launch: 'rocket',
+    burst: 'peony',
+    description: 'A round burst of stars that shrink away.',
+    parameters: { trail, particles: particles(500), speed: speed(420) }
+  },
+  Ring: {
+    launch: 'rocket',
+    burst: 'ring',
+    description: 'Stars spreading in a ring.',
+    parameters: {
+      trail,
+      particles: particles(60),
+      speed: speed(300),
+      aspect: {
+        kind: 'number',
+        min: 0.1,
+        max: 1,
+        default: 1,
+        description: 'Height of the ring relative to its width; lower values tilt it.'
+      }
+    }
+  },
+  Willow: {
+    launch: 'rocket',
+    burst: 'willow',
+    description: 'Slow stars that droop under gravity and fade for a long time.',
+    parameters: {
+      trail,
+      particles: particles(150),
+      speed: speed(240),
+      gravity: {
+        kind: 'number',
+        min: 0,
+        max: 3600,
+        default: 144,
+        description: 'Downward acceleration of the stars (px/s²).'
+      },
+      life: {
+        kind: 'integer',
+        min: 100,
+        max: 10000,
+        default: 4000,
+        description: 'Time the stars take to fade out (ms).'
+      }
+    }
+  },
+  Crossette: {
+    launch: 'rocket',
+    burst: 'crossette',
+    description: 'A few stars that each split into a cross of smaller ones.',
+    parameters: {
+      trail,
+      particles: { ...particles(8), max: 100 },
+      speed: speed(300),
+      splits: {
+        kind: 'integer',
+        min: 2,
+        max: 12,
+        default: 4,
+        description: 'Number of pieces each star splits into.'
+      },
+      splitDelay: {
+        kind: 'integer',
+        min: 50,
+        max: 5000,
+        default: 600,
+        description: 'Time from the burst to the splits (ms).'
+      }
+    }
+  },
+  MultiColour: {
+    launch: 'rocket',
+    burst: 'peony',
+    description: 'A round burst with stars of several colours.',
+    parameters: {
+      trail,
+      particles: particles(400),
+      speed: speed(420),
+      colours: {
+        kind: 'colours',
+        default: ['0xFF2020', '0x20FF40', '0x4020FF', '0xFFFF20'],
+        description: 'Colours of the stars, picked at random for each one.'
+      }
+    }
+  }
+}
+
+/**
+ * @param {string} name - Type name, as written in shows.
+ * @returns {FireworkType|undefined} The type, or undefined if there is none by that name.
+ */
+export function getFireworkType(name) {
+  return Object.hasOwn(FIREWORK_TYPES, name) ? FIREWORK_TYPES[name] : undefined
+}
+
+/**
+ * @param {string} name - Type name, as written in shows.
+ * @returns {boolean} True for types launched as rockets, which fly at a velocity.
+ */
+export function isRocketType(name) {
+  return getFireworkType(name)?.launch === 'rocket'
+}
+
+/**
+ * Completes the parameters of a firework with the defaults of its type.
+ * @param {string} name - Type name of the firework.
+ * @param {object} [parameters] - Parameters set by the show.
+ * @returns {object} Every parameter of the type.
+ */
+export function resolveParameters(name, parameters = {}) {
+  const defaults = Object.entries(getFireworkType(name)?.parameters ?? {}).map(
+    ([parameter, definition]) => [parameter, definition.default]
+  )
+  return { ...Object.fromEntries(defaults), ...parameters }
+}
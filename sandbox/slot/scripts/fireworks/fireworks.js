@@ -1,65 +1,186 @@
-import { Sprite, Text } from 'pixi.js'
+import { Text } from 'pixi.js'
 import { explodeRocket } from './explodeRocket.js'
 import { ManualFountain, initFountainEffect } from './fountainEffect.js'
+import { createParticleGroup, initParticleSystem } from './particleSystem.js'
+import { initStatsOverlay } from './statsOverlay.js'
+import { setWind } from './physics.js'
+import { getFireworkType, resolveParameters } from './fireworkTypes.js'
+import { createTimeline } from './timeline.js'
+import * as RNG from './effectsRng.js'
+import {
+  validateShowXml,
+  validateShowJson,
+  validateShowJsonText,
+  formatShowError
+} from './showValidator.js'
+import * as Audio from '../audio/audio.js'
+
+const DEFAULT_SEQUENCE_URL = './data/fireworks.xml'
+const MAX_ERRORS_ON_SCREEN = 3 // Further show errors are only listed in the console.
+const TRAIL_INTERVAL = 25 // Time between two particles of a rocket trail (ms).
 
 // Global PixiJS references, injected during initialization.
 let _app
 let _canvasCenter
 
-// Tracks active ManualFountain instances for global control (e.g., stopping all).
-const activeManualFountains = new Set()
+// Shows are authored on the game's landscape canvas. On another canvas (e.g. the portrait
+// design) they are squeezed to its width and keep their height above its bottom edge, so
+// fireworks still launch from just below it and burst on screen (see `fitShowsToCanvas`).
+const SHOW_CANVAS = { width: 1280, height: 720 }
+let showScaleX = 1 // Horizontal scale of show coordinates and velocities.
+let showOffsetY = 0 // Shift keeping show heights measured from the canvas bottom (px).
+
+// Timelines of the shows still playing (or loading), for global control (e.g., stopping all).
+const activeTimelines = new Set()
+
+// Error message on stage, removed when the next show starts or every show is stopped.
+let errorText = null
+
+// Trail styles a rocket's `trail` parameter can name; each emits one particle where the rocket is.
+const TRAILS = {
+  // Grey puffs that linger, spread and fade.
+  smoke: (group, x, y) =>
+    group.emit({
+      texture: 'glow',
+      tint: 0x9a9a9a,
+      x,
+      y,
+      vx: (RNG.random() - 0.5) * 18,
+      vy: -12,
+      life: 1200,
+      scale: 0.3,
+      alpha: 0.35,
+      drag: 1.2,
+      windage: 2, // Light puffs drift further than stars.
+      growth: 0.6,
+      fadeFrom: 0
+    }),
+  // Small sparks of the rocket's colour that fall away behind it.
+  sparks: (group, x, y, tint) =>
+    group.emit({
+      texture: 'star',
+      tint,
+      x,
+      y,
+      vx: (RNG.random() - 0.5) * 90,
+      vy: RNG.random() * 30,
+      life: 500,
+      scale: 0.25,
+      gravity: 288,
+      growth: -1.8,
+      fadeFrom: 0.3
+    })
+}
 
 /**
- * Creates and manages a single firework animation (Fountain or Rocket type).
- * This internal function abstracts the specific firework implementation details.
- * @param {string} type - 'Fountain' or 'Rocket'.
- * @param {string} colour - Hexadecimal color code for the firework.
- * @param {number} duration - Animation duration in milliseconds.
- * @param {number} x - X-coordinate (relative to canvas center).
- * @param {number} y - Y-coordinate (relative to canvas center).
- * @param {number} velocityX - Horizontal velocity for rocket.
- * @param {number} velocityY - Vertical velocity for rocket.
+ * Converts show coordinates to a point on stage.
+ * @param {number} x - X-coordinate (relative to canvas center, inverted).
+ * @param {number} y - Y-coordinate (relative to canvas center, inverted).
+ * @returns {{x: number, y: number}} The point on stage.
  */
-const createFirework = (type, colour, duration, x, y, velocityX, velocityY) => {
-  if (!_app || !_canvasCenter) {
-    console.error('PixiJS Application or canvasCenter not initialized for firework creation.')
-    return
-  }
+const toStage = (x, y) => ({
+  x: _canvasCenter.x - x * showScaleX,
+  y: _canvasCenter.y - y + showOffsetY
+})
 
-  if (type === 'Fountain') {
-    const newFountain = new ManualFountain(_app, colour, duration, x, y)
-    activeManualFountains.add(newFountain)
-  } else if (type === 'Rocket') {
-    const rocket = Sprite.from('./assets/particle.png') // Assumes 'particle.png' is the rocket texture.
-    rocket.tint = parseInt(colour, 16)
-    // Position rockets relative to canvas center, adjusting for coordinate system.
-    rocket.position.set(_canvasCenter.x - x, _canvasCenter.y - y)
-    _app.stage.addChild(rocket)
-
-    // Ticker loop for continuous rocket movement.
-    const loopRocket = (delta) => {
-      // Converts delta (from PixiJS ticker, usually ~1 for 60fps) to a time in ms.
-      // Adjusting divisors (1000 for X, 100 for Y) to tune velocity scaling.
-      const displacementX = (velocityX * delta) / 1000
-      const displacementY = (velocityY * delta) / 100
-
-      rocket.x += displacementX
-      rocket.y += displacementY * -1 // -1 to move upwards on Y-axis.
+/**
+ * Creates a rocket: a particle flying at a constant velocity, optionally leaving a trail, that
+ * explodes into its type's burst once its flight time has elapsed.
+ * @param {import('./timeline.js').FireworkEvent} firework - The rocket, as scheduled in a show.
+ * @returns {import('./timeline.js').FireworkEffect} The rocket effect.
+ */
+const createRocket = ({ type, colour, duration, x, y, velocityX, velocityY, parameters }) => {
+  const tint = parseInt(colour, 16)
+  const emitTrail = TRAILS[resolveParameters(type, parameters).trail]
+  let trailTimer = 0
+  let flightTime = 0 // Simulated time since the launch (ms), in whole physics steps.
+  let updatedTime = 0 // Time the rocket has been advanced by (ms).
+  let explosion = null // Takes over from the rocket once it explodes.
+  let explosionTime = 0 // Flight time at which the rocket exploded (ms).
+  let silent = false // Whether the current update must stay quiet, read when the rocket explodes.
+
+  // The rocket and its trail, which outlives it as it fades. The trail is emitted on every
+  // physics step, so its puffs are as far apart at any frame rate.
+  const particles = createParticleGroup((stepMs) => {
+    flightTime += stepMs
+    if (!emitTrail || explosion) return
+    trailTimer += stepMs
+    while (trailTimer >= TRAIL_INTERVAL) {
+      emitTrail(particles, rocket.x, rocket.y, tint)
+      trailTimer -= TRAIL_INTERVAL
+    }
+  })
+
+  const rocket = particles.emit({
+    texture: 'glow',
+    tint,
+    ...toStage(x, y),
+    vx: velocityX * showScaleX,
+    vy: -velocityY, // Shows point velocities up, the stage down.
+    life: duration,
+    scale: 1,
+    windage: 0, // Rockets burst where the show aims them.
+    required: true, // A show never loses a rocket to the particle budget, only stars.
+    // Triggers the explosion effect where the rocket is.
+    onExpire: (position) => {
+      explosion = explodeRocket(position.x, position.y, colour, { silent, type, parameters })
+      explosionTime = flightTime
+    }
+  })
+
+  return {
+    update: (deltaMs, isSilent) => {
+      silent = isSilent
+      updatedTime += deltaMs
+      const burst = explosion
+      const particlesGone = particles.update(deltaMs)
+      if (!explosion) return false
+
+      // A burst created during this update catches up on the time since the rocket exploded.
+      const burstDelta = burst ? deltaMs : Math.max(0, updatedTime - explosionTime)
+      return explosion.update(burstDelta) && particlesGone
+    },
+    destroy: () => {
+      particles.destroy()
+      if (explosion) explosion.destroy()
     }
-    _app.ticker.add(loopRocket)
-
-    // Schedules rocket explosion and cleanup after its duration.
-    setTimeout(() => {
-      _app.stage.removeChild(rocket)
-      _app.ticker.remove(loopRocket) // Critical for preventing memory leaks from orphaned ticker listeners.
-      explodeRocket(_app, rocket.x, rocket.y, colour) // Triggers the explosion effect.
-    }, duration)
   }
 }
 
 /**
- * Displays an on-screen error message for critical module failures.
- * Used as a fallback if XML loading or initialization fails.
+ * Creates a single firework animation on stage: a fountain, or a rocket of any burst type
+ * (see fireworkTypes.js).
+ * Shows launch it through their timeline; the fireworks editor also uses it for its preview.
+ * @param {import('./timeline.js').FireworkEvent} firework - The firework to launch.
+ * @param {boolean} silent - True while a show is being seeked, when no sound must play.
+ * @returns {import('./timeline.js').FireworkEffect|null} The effect, advanced by the show's
+ *   timeline, or null for an unknown type.
+ */
+export const createFirework = (firework, silent) => {
+  const fireworkType = getFireworkType(firework.type)
+  if (!fireworkType) return null
+
+  if (!silent) Audio.playWhoosh() // Both fountains and rockets launch with a whoosh.
+  if (fireworkType.launch === 'fountain') {
+    const { colour, duration, x, y } = firework
+    return new ManualFountain(colour, duration, x, y)
+  }
+  return createRocket(firework)
+}
+
+/**
+ * Removes the error message from the stage, if one is shown.
+ */
+const clearErrorText = () => {
+  if (!errorText) return
+  errorText.destroy()
+  errorText = null
+}
+
+/**
+ * Displays an on-screen error message for a show that cannot be loaded or has invalid
+ * fireworks, replacing any previous one. It stays until the next show starts or every show is
+ * stopped.
  * @param {string} errorMessage - The error message to display.
  */
 const showErrorText = (errorMessage) => {
@@ -67,11 +188,14 @@ const showErrorText = (errorMessage) => {
     console.error('PixiJS Application not initialized for error text.')
     return
   }
-  const errorText = new Text(errorMessage, {
+  clearErrorText()
+  errorText = new Text(errorMessage, {
     fontFamily: 'Arial',
     fontSize: 30,
     fill: 'white',
-    align: 'center'
+    align: 'center',
+    wordWrap: true, // Show errors quote long file paths.
+    wordWrapWidth: _app.renderer.width - 80
   })
 
   errorText.x = _app.renderer.width / 2
@@ -81,6 +205,25 @@ const showErrorText = (errorMessage) => {
   _app.stage.addChild(errorText)
 }
 
+/**
+ * Reports the problems found in a show, in full to the console and the first few on screen.
+ * @param {string} source - Location of the show, or 'show' for one built in memory.
+ * @param {import('./showValidator.js').ShowError[]} errors - Problems found by the validator.
+ */
+const reportShowErrors = (source, errors) => {
+  const messages = errors.map((error) => formatShowError(error, source))
+  console.error(`Invalid fireworks show:\n${messages.join('\n')}`)
+
+  const hidden = messages.length - MAX_ERRORS_ON_SCREEN
+  showErrorText(
+    [
+      'Erros no espetáculo de fogos de artifício:',
+      ...messages.slice(0, MAX_ERRORS_ON_SCREEN),
+      ...(hidden > 0 ? [`(+${hidden} na consola)`] : [])
+    ].join('\n')
+  )
+}
+
 /**
  * Asynchronously initializes the Fireworks module.
  * Must be called once before triggering any firework sequences.
@@ -91,75 +234,98 @@ export async function initFireworks(appInstance, canvasCenterInstance) {
   _app = appInstance
   _canvasCenter = canvasCenterInstance
 
-  // Initializes the ManualFountain sub-module, primarily for texture loading.
-  await initFountainEffect(_app, _canvasCenter)
+  // Loads the particle textures shared by every effect, then registers the effects.
+  await initParticleSystem(_app)
+  initFountainEffect(toStage)
+  initStatsOverlay(_app)
   // console.log('Fireworks module and FountainEffect initialized.'); // Removed per request
 }
 
 /**
- * Fetches and processes fireworks data from fireworks.xml, then schedules each firework's creation.
+ * Fits shows to the canvas size, e.g. when the game switches to its portrait design. Shows keep
+ * their authored coordinates on the landscape canvas they are written for.
+ * @param {{width: number, height: number}} size - Logical canvas size.
+ */
+export function fitShowsToCanvas({ width, height }) {
+  showScaleX = width / SHOW_CANVAS.width
+  showOffsetY = (height - SHOW_CANVAS.height) / 2
+}
+
+/**
+ * Fetches a show file and validates it, picking the format from the file extension.
+ * @param {string} url - Location of an XML or JSON (`.json`) show.
+ * @returns {Promise<import('./showValidator.js').ValidatedShow>} The validated show.
+ */
+const fetchShow = async (url) => {
+  const response = await fetch(url)
+  if (!response.ok) {
+    // Throws an error for HTTP issues (e.g., 404, 500).
+    throw new Error(`HTTP error! status: ${response.status}`)
+  }
+  const text = await response.text()
+  const isJson = new URL(url, window.location.href).pathname.endsWith('.json')
+  return isJson ? validateShowJsonText(text) : validateShowXml(text)
+}
+
+/**
+ * Loads and validates a show.
+ * @param {string|object} show - URL of an XML or JSON show file, or a show object in the JSON
+ *   format (e.g. one made with `createShow`, see showBuilder.js).
+ * @returns {Promise<import('./showValidator.js').ValidatedShow>} The validated show. Rejects if
+ *   the file cannot be fetched.
+ */
+export function loadShow(show) {
+  return typeof show === 'string' ? fetchShow(show) : Promise.resolve(validateShowJson(show))
+}
+
+/**
+ * Loads a show, then plays it on a new timeline.
  * This is the primary external function to call to start a firework display.
+ * Any show already running is stopped first, including its fireworks not launched yet.
+ * @param {string|object} [show='./data/fireworks.xml'] - URL of an XML or JSON show file, or a
+ *   show object in the JSON format (e.g. one made with `createShow`, see showBuilder.js).
+ * @returns {import('./timeline.js').Timeline|null} The show's timeline, playing as soon as the
+ *   show is loaded, or null if the module is not initialized.
  */
-export function triggerFireworksSequence() {
+export function triggerFireworksSequence(show = DEFAULT_SEQUENCE_URL) {
   if (!_app || !_canvasCenter) {
     console.error('Fireworks module not initialized. Call initFireworks() first.')
-    return
+    return null
   }
 
-  fetch('./data/fireworks.xml')
-    .then((response) => {
-      if (!response.ok) {
-        // Throws an error for HTTP issues (e.g., 404, 500).
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
-      return response.text()
-    })
-    .then((xmlData) => {
-      const parser = new DOMParser()
-      const xml = parser.parseFromString(xmlData, 'text/xml')
-      const fireworkElements = xml.getElementsByTagName('Firework')
-
-      // Clears any active fountains from previous sequences to prevent overlap.
-      stopAllFireworks()
-
-      for (let i = 0; i < fireworkElements.length; i++) {
-        const firework = fireworkElements[i]
-        // Parses attributes for firework type, timing, color, and position/velocity.
-        const beginTime = parseInt(firework.getAttribute('begin'))
-        const type = firework.getAttribute('type')
-        const colour = firework.getAttribute('colour')
-        const duration = parseInt(firework.getAttribute('duration'))
-        const position = firework.getElementsByTagName('Position')[0]
-        const x = parseFloat(position.getAttribute('x'))
-        const y = parseFloat(position.getAttribute('y'))
-        const velocityElement = firework.getElementsByTagName('Velocity')[0]
-        let velocityX = 0
-        let velocityY = 0
-        if (velocityElement) {
-          velocityX = parseFloat(velocityElement.getAttribute('x'))
-          velocityY = parseFloat(velocityElement.getAttribute('y'))
-        }
-
-        // Schedules the creation of each firework.
-        setTimeout(() => {
-          createFirework(type, colour, duration, x, y, velocityX, velocityY)
-        }, beginTime)
-      }
+  // Clears the previous show to prevent overlap.
+  stopAllFireworks()
+  const timeline = createTimeline(createFirework)
+  activeTimelines.add(timeline)
+  timeline.done.then(() => activeTimelines.delete(timeline))
+
+  const source = typeof show === 'string' ? show : 'show' // Names the show in error reports.
+  loadShow(show)
+    .then(({ fireworks, wind, errors }) => {
+      if (timeline.ended) return // The show was stopped while loading.
+      // Invalid fireworks are reported and left out; the rest of the show still plays.
+      if (errors.length > 0) reportShowErrors(source, errors)
+      setWind(wind)
+      timeline.load(fireworks)
     })
     .catch((error) => {
-      // Displays an error if XML fetching or parsing fails.
-      showErrorText(`Ocorreu um erro ao carregar os fogos de artifício: ${error.message}`)
-      console.error('Error fetching XML file for fireworks:', error)
+      // Displays an error if the show cannot be fetched, unless it was stopped meanwhile.
+      if (!timeline.ended) {
+        showErrorText(`Ocorreu um erro ao carregar os fogos de artifício: ${error.message}`)
+      }
+      console.error(`Error fetching fireworks show ${source}:`, error)
+      timeline.stop()
     })
+
+  return timeline.play()
 }
 
 /**
- * Stops and cleans up all active firework animations managed by this module,
- * particularly for active ManualFountain instances.
+ * Stops every show, removing all fireworks from the stage: those in flight and those not
+ * launched yet. A show still loading is dropped when it arrives. Removes any show error shown.
  */
 export function stopAllFireworks() {
-  // Destroys all active manual fountain instances and clears the tracking set.
-  activeManualFountains.forEach((fountain) => fountain.destroy())
-  activeManualFountains.clear()
-  // Rockets are self-cleaning via setTimeout and ticker.remove, so no explicit stop needed here.
+  activeTimelines.forEach((timeline) => timeline.stop())
+  activeTimelines.clear()
+  clearErrorText()
 }
@@ -0,0 +1,334 @@
+import { Assets, Container, ParticleContainer, Sprite } from 'pixi.js'
+import { loop } from '../tween/tween.js'
+import { STEP_MS, stepBody, getStepGrowth } from './physics.js'
+
+// --- Particle System ---
+// Every firework particle (fountain sparks, burst stars, rocket trails and the rockets
+// themselves) is a pooled sprite in one of a few shared ParticleContainers, one per texture, so
+// the whole display draws in a handful of batches and nothing is allocated or destroyed while a
+// show plays. Effects own groups of particles and advance them from the show's timeline.
+//
+// A global budget caps the live particles. As it fills up, groups emit fewer particles, so
+// overlapping shows thin out instead of stuttering, and the budget itself shrinks while the
+// frame rate is low (e.g. on slow laptops) and grows back once it recovers.
+//
+// Particles move in the fixed steps of physics.js; sprites are drawn between the last two steps,
+// so motion stays smooth on displays whose frames do not line up with the steps.
+
+/**
+ * Particle textures by name. Each has its own batch.
+ * @type {Object<string, string>}
+ */
+const TEXTURES = {
+  star: 'assets/rocket.png', // Burst stars and sparks.
+  glow: 'assets/particle.png' // Fountain sparks, smoke and rocket heads.
+}
+
+const MAX_BUDGET = 4000 // Live particles allowed when the frame rate keeps up.
+const MIN_BUDGET = 1000 // Lowest the budget shrinks to on slow machines.
+const THINNING_FROM = 0.6 // Share of the budget in use from which emission starts thinning out.
+const BUDGET_CHECK_INTERVAL = 1000 // Time between frame rate checks (ms).
+const LOW_FPS = 45 // Below this frame rate, the budget shrinks...
+const HIGH_FPS = 55 // ...and above this one, it grows back.
+
+let _app
+const layer = new Container() // Holds the batches, at the stage depth it was added at.
+const batches = {} // By texture name: its ParticleContainer, free sprites and live count.
+let live = 0 // Particles in use, over every batch.
+let budget = MAX_BUDGET
+let adaptive = true // Whether the budget follows the frame rate.
+
+/**
+ * @typedef {object} ParticleOptions
+ * @property {'star'|'glow'} texture - Texture name.
+ * @property {number} tint - Particle colour.
+ * @property {number} x - Starting X position on stage.
+ * @property {number} y - Starting Y position on stage.
+ * @property {number} [vx=0] - Horizontal velocity (px/s).
+ * @property {number} [vy=0] - Vertical velocity (px/s, positive downwards).
+ * @property {number} life - Time the particle exists (ms), rounded to whole physics steps.
+ * @property {number} [scale=0.5] - Starting size.
+ * @property {number} [alpha=1] - Starting opacity.
+ * @property {number} [gravity=0] - Downward acceleration (px/s²).
+ * @property {number} [drag=0] - Velocity lost per second, as an exponential rate (1/s).
+ * @property {number} [windage=1] - How much the wind pushes the particle (see physics.js).
+ * @property {number} [growth=0] - Scale change per second, as an exponential rate (1/s);
+ *   negative values shrink the particle.
+ * @property {number} [fadeFrom=1] - Fraction of the life after which the particle fades out;
+ *   1 keeps it opaque to the end.
+ * @property {function({x: number, y: number}): void} [onExpire] - Called with the particle's
+ *   last position when its life ends, e.g. to split it into new particles.
+ * @property {boolean} [required=false] - Emits the particle even over budget, for the few that
+ *   a firework cannot do without (e.g. a rocket's head).
+ */
+
+/**
+ * A live particle. Its position can be read while it flies.
+ * @typedef {object} Particle
+ * @property {number} x - X position on stage.
+ * @property {number} y - Y position on stage.
+ */
+
+/**
+ * @typedef {object} ParticleGroup
+ * @property {function(ParticleOptions): (Particle|null)} emit - Adds a particle; returns null
+ *   when the budget drops it.
+ * @property {function(number): boolean} update - Advances the group by the given milliseconds,
+ *   in whole physics steps; returns true once no particle is left.
+ * @property {function(): void} destroy - Returns every particle to the pool.
+ */
+
+// --- Pool ---
+
+/**
+ * Takes a sprite from a batch's pool, creating one if none is free.
+ * @param {string} textureName - Texture of the sprite.
+ * @returns {{sprite: PIXI.Sprite, batch: object}} The sprite, in its batch.
+ */
+const acquire = (textureName) => {
+  const batch = batches[textureName]
+  let sprite = batch.free.pop()
+  if (!sprite) {
+    sprite = Sprite.from(TEXTURES[textureName])
+    sprite.anchor.set(0.5)
+    batch.container.addChild(sprite)
+  }
+  batch.live += 1
+  batch.container.visible = true
+  live += 1
+  return { sprite, batch }
+}
+
+/**
+ * Hides a sprite and returns it to its batch's pool. It stays in its ParticleContainer, which
+ * draws every child and would otherwise have to rebuild its buffers.
+ * @param {PIXI.Sprite} sprite - The sprite.
+ * @param {object} batch - Its batch.
+ */
+const release = (sprite, batch) => {
+  sprite.alpha = 0
+  sprite.scale.set(0)
+  batch.free.push(sprite)
+  batch.live -= 1
+  if (batch.live === 0) batch.container.visible = false // Skips drawing an idle batch.
+  live -= 1
+}
+
+/**
+ * @returns {number} Share of new particles let through: 1 while the budget has room, falling to
+ *   0 as it fills up.
+ */
+const getEmissionRate = () => {
+  const load = live / budget
+  if (load <= THINNING_FROM) return 1
+  return Math.max(0, 1 - (load - THINNING_FROM) / (1 - THINNING_FROM))
+}
+
+/**
+ * Adjusts the budget to the frame rate, while particles are on stage.
+ * @param {number} fps - Current frames per second.
+ */
+const adaptBudget = (fps) => {
+  if (!adaptive || live === 0) return // A low frame rate without particles is not theirs to fix.
+  if (fps < LOW_FPS) {
+    budget = Math.max(MIN_BUDGET, Math.round(budget * 0.8))
+  } else if (fps > HIGH_FPS) {
+    budget = Math.min(MAX_BUDGET, Math.round(budget * 1.1))
+  }
+}
+
+// --- Groups ---
+
+/**
+ * Creates an empty group of particles, advanced by the effect that owns it.
+ * @param {function(number): void} [onStep] - Called with the step duration (ms) before every
+ *   physics step, for effects that emit particles over time: emitting from it keeps their
+ *   timing the same at any frame rate.
+ * @returns {ParticleGroup} The group.
+ */
+export function createParticleGroup(onStep) {
+  const particles = []
+  let credit = 0 // Emission allowance while thinning: one particle per whole unit.
+  let elapsed = 0 // Time not yet simulated, less than one step (ms).
+
+  const emit = ({
+    texture,
+    tint,
+    x,
+    y,
+    vx = 0,
+    vy = 0,
+    life,
+    scale = 0.5,
+    alpha = 1,
+    gravity = 0,
+    drag = 0,
+    windage = 1,
+    growth = 0,
+    fadeFrom = 1,
+    onExpire = null,
+    required = false
+  }) => {
+    if (!required) {
+      credit = Math.min(1, credit + getEmissionRate())
+      if (credit < 1 || live >= budget) return null
+      credit -= 1
+    }
+
+    const { sprite, batch } = acquire(texture)
+    sprite.tint = tint
+    sprite.position.set(x, y)
+    sprite.scale.set(scale)
+    sprite.alpha = alpha
+    const particle = { sprite, batch, x, y, previousX: x, previousY: y, vx, vy, scale, alpha }
+    Object.assign(particle, { gravity, drag, windage, fadeFrom, onExpire })
+    particle.age = 0 // In physics steps, like the life.
+    particle.life = Math.max(1, Math.round(life / STEP_MS))
+    particle.growth = getStepGrowth(growth)
+    particles.push(particle)
+    return particle
+  }
+
+  /**
+   * Advances every particle by one physics step, dropping the expired ones.
+   */
+  const step = () => {
+    onStep?.(STEP_MS)
+    const expired = []
+
+    // Iterate backwards to safely remove particles during iteration.
+    for (let i = particles.length - 1; i >= 0; i--) {
+      const particle = particles[i]
+      particle.previousX = particle.x
+      particle.previousY = particle.y
+      stepBody(particle)
+      particle.scale *= particle.growth
+      particle.age += 1
+      if (particle.age >= particle.life) {
+        expired.push(particle)
+        release(particle.sprite, particle.batch)
+        particles.splice(i, 1)
+      }
+    }
+
+    // Run after the loop, so particles emitted on expiry start moving on the next step.
+    expired.forEach(({ x, y, onExpire }) => onExpire?.({ x, y }))
+  }
+
+  /**
+   * Draws every particle between its last two steps, as far as the time left over allows.
+   */
+  const draw = () => {
+    const progress = elapsed / STEP_MS
+    particles.forEach((particle) => {
+      const { sprite } = particle
+      sprite.position.set(
+        particle.previousX + (particle.x - particle.previousX) * progress,
+        particle.previousY + (particle.y - particle.previousY) * progress
+      )
+      sprite.scale.set(particle.scale)
+      const fadeStart = particle.life * particle.fadeFrom
+      if (particle.age > fadeStart) {
+        sprite.alpha =
+          particle.alpha * (1 - (particle.age - fadeStart) / (particle.life - fadeStart))
+      }
+    })
+  }
+
+  const update = (deltaMs) => {
+    elapsed += deltaMs
+    while (elapsed >= STEP_MS) {
+      elapsed -= STEP_MS
+      step()
+    }
+    draw()
+    return particles.length === 0
+  }
+
+  const destroy = () => {
+    particles.forEach(({ sprite, batch }) => release(sprite, batch))
+    particles.length = 0
+  }
+
+  return { emit, update, destroy }
+}
+
+/**
+ * @returns {{live: number, budget: number, pooled: number}} Particles in use, the current budget
+ *   and the idle sprites kept for reuse.
+ */
+export function getParticleStats() {
+  const pooled = Object.values(batches).reduce((sum, batch) => sum + batch.free.length, 0)
+  return { live, budget, pooled }
+}
+
+/**
+ * Turns the frame-rate-driven budget on or off. Off, the budget stays at its maximum, so the
+ * same show always emits the same particles, whatever the machine (e.g. for offline rendering).
+ * @param {boolean} enabled - True to adapt the budget to the frame rate.
+ */
+export function setAdaptiveBudget(enabled) {
+  adaptive = enabled
+  if (!adaptive) budget = MAX_BUDGET
+}
+
+/**
+ * Destroys the idle sprites kept for reuse. Pooled sprites keep their place in the draw order,
+ * so emptying the pool once no particle is live makes the next particles stack exactly as they
+ * would on a fresh page (e.g. for offline rendering).
+ */
+export function clearParticlePool() {
+  Object.values(batches).forEach((batch) => {
+    batch.free.forEach((sprite) => {
+      batch.container.removeChild(sprite)
+      sprite.destroy()
+    })
+    batch.free = []
+  })
+}
+
+/**
+ * @returns {PIXI.Container} The layer drawing every particle, e.g. to slide a backdrop under the
+ *   fireworks.
+ */
+export function getParticleLayer() {
+  return layer
+}
+
+/**
+ * Initializes the particle system: loads the particle textures and creates their batches.
+ * Must be called once before any particle group is created. The particles are drawn above what
+ * is already on stage and below anything added later (e.g. the win celebration's texts).
+ * @param {PIXI.Application} app - The PixiJS application instance.
+ */
+export async function initParticleSystem(app) {
+  _app = app
+
+  try {
+    await Assets.load(Object.values(TEXTURES))
+  } catch (error) {
+    console.error('Error loading particle textures:', error)
+  }
+
+  Object.keys(TEXTURES).forEach((name) => {
+    // Scale, position and tint (with alpha) change every frame; rotation and frames never do.
+    const container = new ParticleContainer(
+      MAX_BUDGET,
+      { vertices: true, position: true, tint: true, rotation: false, uvs: false },
+      undefined,
+      true // Grows past the budget for required particles.
+    )
+    container.visible = false
+    batches[name] = { container, free: [], live: 0 }
+    layer.addChild(container)
+  })
+  _app.stage.addChild(layer)
+
+  let sinceCheck = 0
+  loop((deltaMs) => {
+    sinceCheck += deltaMs
+    if (sinceCheck < BUDGET_CHECK_INTERVAL) return
+    sinceCheck = 0
+    adaptBudget(_app.ticker.FPS)
+  })
+}
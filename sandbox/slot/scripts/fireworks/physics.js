@@ -0,0 +1,68 @@
+// --- Fireworks Physics ---
+// Motion shared by every firework particle: rockets, burst stars, trails and fountain sparks.
+// Bodies advance in fixed steps, whatever the display's refresh rate, so a show follows the
+// timings authored in its file and looks the same at 60Hz, 144Hz or on a frame-by-frame render.
+// Units are pixels and seconds: velocities in px/s, accelerations (gravity, wind) in px/s², and
+// drag and growth as exponential rates per second.
+
+/**
+ * Duration of one physics step (ms). Variable frame times are split into whole steps; the
+ * remainder carries over to the next frame.
+ */
+export const STEP_MS = 1000 / 120
+
+const STEP_SECONDS = STEP_MS / 1000
+
+let wind = 0 // Horizontal acceleration applied to every body, by its windage (px/s²).
+
+/**
+ * A moving body. Particles carry these properties besides their own.
+ * @typedef {object} Body
+ * @property {number} x - X position on stage (px).
+ * @property {number} y - Y position on stage (px).
+ * @property {number} vx - Horizontal velocity (px/s).
+ * @property {number} vy - Vertical velocity (px/s, positive downwards).
+ * @property {number} gravity - Downward acceleration (px/s²).
+ * @property {number} drag - Share of the velocity lost per second, as an exponential rate (1/s):
+ *   0 keeps it, 1 leaves about 37% of it after a second.
+ * @property {number} windage - How much the wind pushes the body: 0 ignores it, 1 takes it fully.
+ */
+
+/**
+ * Advances a body by one physics step (semi-implicit Euler): accelerations first, then drag,
+ * then the position from the new velocity.
+ * @param {Body} body - The body, updated in place.
+ */
+export function stepBody(body) {
+  body.vx += wind * body.windage * STEP_SECONDS
+  body.vy += body.gravity * STEP_SECONDS
+  const drag = Math.exp(-body.drag * STEP_SECONDS)
+  body.vx *= drag
+  body.vy *= drag
+  body.x += body.vx * STEP_SECONDS
+  body.y += body.vy * STEP_SECONDS
+}
+
+/**
+ * @param {number} rate - Exponential growth rate per second; negative values shrink.
+ * @returns {number} Factor applied to a size over one physics step.
+ */
+export function getStepGrowth(rate) {
+  return Math.exp(rate * STEP_SECONDS)
+}
+
+/**
+ * Sets the wind blowing across the stage, e.g. a show's `wind` when it starts playing. Rockets
+ * ignore it, so they still burst where their show aims them.
+ * @param {number} acceleration - Horizontal acceleration (px/s², positive to the right).
+ */
+export function setWind(acceleration) {
+  wind = acceleration
+}
+
+/**
+ * @returns {number} Current wind acceleration (px/s²).
+ */
+export function getWind() {
+  return wind
+}
@@ -0,0 +1,153 @@
+// --- Fireworks Show Builder ---
+// Lets game code compose a show at runtime instead of authoring a file, e.g.:
+//
+//   const show = createShow({ wind: 40 })
+//     .fountain({ colour: 0x20ff40, duration: 3000 }).at(0)
+//     .rocket({ colour: '0xFF2020', duration: 1000, velocity: { x: 0, y: 360 } }).at(1000)
+//     .firework('Willow', { colour: 0xffd700, duration: 1200, velocity: { x: 0, y: 330 },
+//       parameters: { trail: 'sparks' } }).at(1500)
+//   triggerFireworksSequence(show)
+//
+// The show is a plain object in the JSON show format (see showValidator.js), so it is validated
+// and played exactly like a show loaded from a file, and `JSON.stringify(show)` saves it as one.
+// `exportShowAsXml` / `exportShowAsJson` go the other way, writing validated fireworks (e.g. those
+// edited in fireworksEditor.html) back to a show file. Shows are always written in the current
+// version of the format, with velocities in px/s, so exporting an old show migrates it.
+
+import { isRocketType } from './fireworkTypes.js'
+import { SHOW_VERSION } from './showValidator.js'
+
+// Launch height used by the shipped shows: just below the bottom of the game's canvas.
+export const GROUND_Y = -384
+
+/**
+ * Normalizes a colour to the show format's '0xRRGGBB' string.
+ * @param {number|string} colour - A number such as 0xff2020, or a string already in show format.
+ * @returns {string} The colour as a hex string (invalid values are left for the validator).
+ */
+const formatColour = (colour) =>
+  typeof colour === 'number' ? `0x${colour.toString(16).padStart(6, '0').toUpperCase()}` : colour
+
+/**
+ * @typedef {object} FireworkOptions
+ * @property {number|string} colour - Colour, as a number (0xff2020) or a string ('0xFF2020').
+ * @property {number} duration - Fountain emission time, or rocket flight time (ms).
+ * @property {{x: number, y: number}} [position] - Launch point relative to the canvas center;
+ *   defaults to the middle of the bottom edge.
+ * @property {{x: number, y: number}} [velocity] - Rocket velocity, in px/s pointing right (x)
+ *   and up (y); ignored by fountains.
+ * @property {object} [parameters] - Parameters of the firework's type (see fireworkTypes.js).
+ */
+
+/**
+ * @typedef {object} ShowBuilder
+ * @property {Object[]} fireworks - The fireworks added so far, in the JSON show format.
+ * @property {function(FireworkOptions): {at: function(number): ShowBuilder}} rocket - Adds a
+ *   rocket; `at` sets its launch time in ms and returns the show for chaining.
+ * @property {function(FireworkOptions): {at: function(number): ShowBuilder}} fountain - Adds a
+ *   fountain; `at` sets its start time in ms and returns the show for chaining.
+ * @property {function(string, FireworkOptions): {at: function(number): ShowBuilder}} firework -
+ *   Adds a firework of any type by name, e.g. 'Ring'; `at` works as above.
+ */
+
+/**
+ * Creates an empty show to add fireworks to.
+ * @param {object} [settings] - Settings of the whole show.
+ * @param {number} [settings.wind=0] - Wind blowing across the show (px/s², positive to the
+ *   right).
+ * @returns {ShowBuilder} The show.
+ */
+export function createShow({ wind = 0 } = {}) {
+  const show = { version: SHOW_VERSION, ...(wind !== 0 ? { wind } : {}), fireworks: [] }
+
+  const add = (
+    type,
+    { colour, duration, position = { x: 0, y: GROUND_Y }, velocity, parameters }
+  ) => {
+    const firework = { begin: 0, type, colour: formatColour(colour), duration, position }
+    if (velocity) firework.velocity = velocity
+    if (parameters) firework.parameters = parameters
+    show.fireworks.push(firework)
+    return {
+      at: (begin) => {
+        firework.begin = begin
+        return show
+      }
+    }
+  }
+
+  // Non-enumerable, so the show serializes to the plain JSON format.
+  Object.defineProperties(show, {
+    rocket: { value: (options) => add('Rocket', options) },
+    fountain: { value: (options) => add('Fountain', options) },
+    firework: { value: add }
+  })
+  return show
+}
+
+/**
+ * Lists fireworks in launch order, as show files are written.
+ * @param {import('./timeline.js').FireworkEvent[]} fireworks - The fireworks.
+ * @returns {import('./timeline.js').FireworkEvent[]} A sorted copy.
+ */
+const sortByBegin = (fireworks) => [...fireworks].sort((a, b) => a.begin - b.begin)
+
+/**
+ * @param {import('./timeline.js').FireworkEvent} firework - A validated firework.
+ * @returns {boolean} True when the show sets any of its type's parameters.
+ */
+const hasParameters = ({ parameters }) => parameters && Object.keys(parameters).length > 0
+
+/**
+ * Serializes fireworks as an XML show, laid out like the shows in data/.
+ * Fountains are written without the <Velocity> they ignore, and parameters left to their
+ * defaults are not written, nor is a calm wind.
+ * @param {import('./timeline.js').FireworkEvent[]} fireworks - The fireworks, as validated.
+ * @param {object} [settings] - Settings of the whole show, see `createShow`.
+ * @returns {string} The XML document.
+ */
+export function exportShowAsXml(fireworks, { wind = 0 } = {}) {
+  const lines = sortByBegin(fireworks).flatMap((firework) => {
+    const { begin, type, colour, duration, x, y, velocityX, velocityY, parameters } = firework
+    const attributes = hasParameters(firework)
+      ? Object.entries(parameters).map(
+          ([name, value]) => ` ${name}="${Array.isArray(value) ? value.join(' ') : value}"`
+        )
+      : []
+    return [
+      `  <Firework begin="${begin}" type="${type}" colour="${colour}" duration="${duration}">`,
+      `    <Position x="${x}" y="${y}"/>`,
+      ...(isRocketType(type) ? [`    <Velocity x="${velocityX}" y="${velocityY}"/>`] : []),
+      ...(attributes.length > 0 ? [`    <Parameters${attributes.join('')}/>`] : []),
+      '  </Firework>'
+    ]
+  })
+  const windAttribute = wind !== 0 ? ` wind="${wind}"` : ''
+  const xml = [
+    '<?xml version="1.0" ?>',
+    `<FireworkDisplay version="${SHOW_VERSION}"${windAttribute}>`,
+    ...lines,
+    '</FireworkDisplay>'
+  ]
+  return `${xml.join('\n')}\n`
+}
+
+/**
+ * Serializes fireworks as a JSON show.
+ * Fountains are written without the velocity they ignore, and parameters left to their defaults
+ * are not written, nor is a calm wind.
+ * @param {import('./timeline.js').FireworkEvent[]} fireworks - The fireworks, as validated.
+ * @param {object} [settings] - Settings of the whole show, see `createShow`.
+ * @returns {string} The JSON document.
+ */
+export function exportShowAsJson(fireworks, settings) {
+  const show = createShow(settings)
+  sortByBegin(fireworks).forEach((firework) => {
+    const { begin, type, colour, duration, x, y, velocityX, velocityY, parameters } = firework
+    const options = { colour, duration, position: { x, y } }
+    if (isRocketType(type)) options.velocity = { x: velocityX, y: velocityY }
+    if (hasParameters(firework)) options.parameters = parameters
+    show.firework(type, options).at(begin)
+  })
+  return `${JSON.stringify(show, null, 2)}\n`
+}
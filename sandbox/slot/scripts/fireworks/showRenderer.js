@@ -0,0 +1,137 @@
+import { createFirework, loadShow, stopAllFireworks } from './fireworks.js'
+import { createTimeline } from './timeline.js'
+import { setAdaptiveBudget, clearParticlePool } from './particleSystem.js'
+import { getWind, setWind } from './physics.js'
+import { setEffectsSeed } from './effectsRng.js'
+
+// --- Offline Show Rendering ---
+// Renders a show frame by frame on a fixed clock instead of the display's: the page drives the
+// shared clock with a manual ticker (see `createManualTicker` in tween.js), the effects'
+// randomness is seeded (see effectsRng.js) and the particle budget and pool start afresh, so the
+// same show, seed and frame rate always draw the same frames. Used by fireworksRender.html for preview clips and golden images.
+
+export const DEFAULT_RENDER_SEED = 'fireworks'
+const MAX_RENDER_DURATION = 5 * 60 * 1000 // Stops shows that never end (ms).
+
+/**
+ * @typedef {object} RenderOptions
+ * @property {number} [fps=60] - Frames per second of show time.
+ * @property {number|string} [seed='fireworks'] - Seed of the fireworks' randomness.
+ * @property {function(HTMLCanvasElement, number): (Promise<void>|void)} [onFrame] - Called
+ *   with the canvas and the frame index once each frame is drawn; rendering waits for it.
+ */
+
+/**
+ * @typedef {object} RenderResult
+ * @property {number} frames - Number of frames drawn.
+ * @property {import('./showValidator.js').ShowError[]} errors - Problems found in the show;
+ *   its invalid fireworks are left out of the frames.
+ */
+
+/**
+ * Launches a firework without any sound: offline renders are silent, and the bangs must not
+ * play while frames are drawn faster or slower than real time.
+ * @param {import('./timeline.js').FireworkEvent} event - The firework to launch.
+ * @returns {import('./timeline.js').FireworkEffect|null} The effect, or null for an unknown type.
+ */
+const launchSilently = (event) => {
+  const effect = createFirework(event, true)
+  if (!effect) return null
+  return { update: (deltaMs) => effect.update(deltaMs, true), destroy: () => effect.destroy() }
+}
+
+/**
+ * Renders a show frame by frame, from its start until its last firework has faded. Any show
+ * already playing is stopped first, and the wind is restored afterwards.
+ * @param {PIXI.Application} app - The application the fireworks module was initialized with.
+ * @param {{tick: function(number): void}} ticker - The manual ticker driving the shared clock.
+ * @param {string|object} show - URL of a show file, or a show object (see `loadShow`).
+ * @param {RenderOptions} [options] - Render options.
+ * @returns {Promise<RenderResult>} What was rendered. Rejects if the show cannot be loaded.
+ */
+export async function renderShow(
+  app,
+  ticker,
+  show,
+  { fps = 60, seed = DEFAULT_RENDER_SEED, onFrame } = {}
+) {
+  const { fireworks, wind, errors } = await loadShow(show)
+  stopAllFireworks()
+  clearParticlePool() // Particles then stack as on a fresh page, whatever played before.
+
+  const savedWind = getWind()
+  setEffectsSeed(seed)
+  setWind(wind)
+  setAdaptiveBudget(false)
+
+  const timeline = createTimeline(launchSilently)
+  timeline.load(fireworks)
+  timeline.play()
+
+  const frameMs = 1000 / fps
+  let frames = 0
+  try {
+    // The first frame shows the start of the show; each next one is a frame's time later.
+    while (!timeline.ended && frames * frameMs <= MAX_RENDER_DURATION) {
+      app.renderer.render(app.stage)
+      if (onFrame) await onFrame(app.view, frames)
+      frames += 1
+      ticker.tick(frameMs)
+    }
+  } finally {
+    timeline.stop()
+    setWind(savedWind)
+    setAdaptiveBudget(true)
+  }
+  return { frames, errors }
+}
+
+/**
+ * Encodes the canvas as it was last drawn.
+ * @param {HTMLCanvasElement} canvas - The canvas; a WebGL one needs `preserveDrawingBuffer`.
+ * @returns {Promise<Blob>} The image, as PNG.
+ */
+export function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed.'))))
+  })
+}
+
+/**
+ * Renders a show into a WebM video, as a preview only. The browser's recorder timestamps frames
+ * with the wall clock as they arrive, so frames are handed over in real time and recording takes
+ * as long as the show. The frames drawn are reproducible, but the video is not: its timestamps
+ * and encoding vary from one recording to the next, so compare frames from `renderShow` instead.
+ * @param {PIXI.Application} app - The application the fireworks module was initialized with.
+ * @param {{tick: function(number): void}} ticker - The manual ticker driving the shared clock.
+ * @param {string|object} show - URL of a show file, or a show object (see `loadShow`).
+ * @param {RenderOptions} [options] - Render options; `onFrame` is still called for each frame.
+ * @returns {Promise<RenderResult & {video: Blob}>} What was rendered, with the video.
+ */
+export async function recordShowWebm(app, ticker, show, options = {}) {
+  const { fps = 60, onFrame } = options
+  const stream = app.view.captureStream(0) // Frames are only captured when requested.
+  const [track] = stream.getVideoTracks()
+  const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' })
+  const chunks = []
+  recorder.addEventListener('dataavailable', (event) => chunks.push(event.data))
+  const stopped = new Promise((resolve) => recorder.addEventListener('stop', resolve))
+
+  recorder.start()
+  let result
+  try {
+    result = await renderShow(app, ticker, show, {
+      ...options,
+      onFrame: async (canvas, index) => {
+        track.requestFrame()
+        if (onFrame) await onFrame(canvas, index)
+        await new Promise((resolve) => setTimeout(resolve, 1000 / fps))
+      }
+    })
+  } finally {
+    recorder.stop()
+    await stopped // The last chunk arrives just before the recorder stops.
+    track.stop()
+  }
+  return { ...result, video: new Blob(chunks, { type: 'video/webm' }) }
+}
@@ -0,0 +1,736 @@
+// --- Fireworks Show Validation ---
+// Parses a fireworks show written as XML or JSON and checks it against the show schema,
+// reporting every problem with its line (XML) or property path (JSON). Both formats produce the
+// same fireworks for the timeline. Runs in the browser and in Node (see tools/lintShows.js), so
+// it uses its own small XML parser instead of DOMParser, which does not expose line numbers.
+//
+// XML schema:
+//   <FireworkDisplay version="2" wind="px/s²">   (both optional)
+//     <Firework begin="ms" type="Rocket" colour="0xRRGGBB" duration="ms">
+//       <Position x="number" y="number"/>
+//       <Velocity x="px/s" y="px/s"/>       (optional)
+//       <Parameters trail="sparks"/>        (optional)
+//     </Firework>
+//   </FireworkDisplay>
+//
+// JSON schema (also accepted as an in-memory object, see showBuilder.js):
+//   { "version": 2, "wind": px/s²,                 (both optional)
+//     "fireworks": [
+//     { "begin": ms, "type": "Rocket", "colour": "0xRRGGBB", "duration": ms,
+//       "position": { "x": number, "y": number },
+//       "velocity": { "x": px/s, "y": px/s },      (optional)
+//       "parameters": { "trail": "sparks" } }       (optional)
+//   ] }
+//
+// The types and the parameters each one accepts are listed in fireworkTypes.js. Rocket
+// velocities point right (x) and up (y). `wind` blows across the whole show, to the right when
+// positive (see physics.js).
+//
+// Shows without a version are version 1, whose velocities are in thousandths (x) and hundredths
+// (y) of a pixel per 60fps frame. They are still read, converted to px/s; files are written as
+// version 2 (see showBuilder.js).
+
+import { FIREWORK_TYPES, getFireworkType } from './fireworkTypes.js'
+
+const TYPE_NAMES = Object.keys(FIREWORK_TYPES)
+
+const FIREWORK_ATTRIBUTES = ['begin', 'type', 'colour', 'duration']
+const NAME_PATTERN = /^[A-Za-z_][\w.-]*/
+const ATTRIBUTE_PATTERN = /\s+([A-Za-z_][\w.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/y
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+const INTEGER_PATTERN = /^\d+$/
+const VERSION_PATTERN = /^[12]$/
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/
+export const COLOUR_PATTERN = /^0x[0-9a-f]{6}$/i // A show colour, e.g. '0xFF2020'.
+const CHILD_ELEMENTS = ['Position', 'Velocity', 'Parameters']
+const SHOW_ATTRIBUTES = ['version', 'wind']
+
+export const SHOW_VERSION = 2 // Version written by showBuilder.js.
+const LEGACY_FRAMES_PER_SECOND = 60 // Version 1 velocities are per 60fps frame...
+const LEGACY_VELOCITY_DIVISORS = { x: 1000, y: 100 } // ...in thousandths (x), hundredths (y) of px.
+
+/**
+ * A problem found in a show.
+ * @typedef {object} ShowError
+ * @property {number} [line] - 1-based line number in the show file.
+ * @property {string} [path] - Property path in a JSON show (e.g. 'fireworks[2].colour').
+ * @property {string} message - Description of the problem.
+ */
+
+/**
+ * A validated show.
+ * @typedef {object} ValidatedShow
+ * @property {import('./timeline.js').FireworkEvent[]} fireworks - The valid fireworks; invalid
+ *   ones are left out, so the others can still be played.
+ * @property {number} wind - Wind blowing across the show (px/s², positive to the right).
+ * @property {ShowError[]} errors - Every problem found.
+ */
+
+/**
+ * A parsed XML element.
+ * @typedef {object} XmlElement
+ * @property {string} name - Tag name.
+ * @property {number} line - Line of the opening tag.
+ * @property {Object<string, {value: string, line: number}>} attributes - Attributes by name.
+ * @property {XmlElement[]} children - Child elements.
+ */
+
+// --- XML Parsing ---
+
+/**
+ * Counts the line breaks in part of a string.
+ * @param {string} text - The string.
+ * @param {number} start - Start index (inclusive).
+ * @param {number} end - End index (exclusive).
+ * @returns {number} Number of '\n' characters.
+ */
+const countLines = (text, start, end) => {
+  let lines = 0
+  for (let i = start; i < end; i++) {
+    if (text[i] === '\n') lines++
+  }
+  return lines
+}
+
+/**
+ * Finds the '>' closing a tag, skipping any inside quoted attribute values.
+ * @param {string} text - The document.
+ * @param {number} start - Index of the tag's '<'.
+ * @returns {number} Index of the closing '>', or -1 if the tag is never closed.
+ */
+const findTagEnd = (text, start) => {
+  let quote = null
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i]
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '>') {
+      return i
+    } else if (char === '<') {
+      return -1 // A new tag starts before this one is closed.
+    }
+  }
+  return -1
+}
+
+/**
+ * Replaces the predefined XML entities and character references in an attribute value.
+ * @param {string} value - Raw attribute value.
+ * @param {function(string): void} report - Called for unknown entities.
+ * @returns {string} The decoded value.
+ */
+const decodeEntities = (value, report) =>
+  value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const hex = entity[1] === 'x' || entity[1] === 'X'
+      return String.fromCodePoint(parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10))
+    }
+    if (ENTITIES[entity] !== undefined) return ENTITIES[entity]
+    report(`Unknown entity '${match}'.`)
+    return match
+  })
+
+/**
+ * Parses the inside of a start tag (between '<' and '>') into a name and attributes.
+ * @param {string} raw - Tag contents, without the trailing '/' of an empty-element tag.
+ * @param {number} line - Line of the tag's '<'.
+ * @param {function(number, string): void} report - Called with each problem found.
+ * @returns {XmlElement|null} The element (without children), or null if it has no valid name.
+ */
+const parseStartTag = (raw, line, report) => {
+  const nameMatch = NAME_PATTERN.exec(raw)
+  if (!nameMatch) {
+    report(line, `Invalid tag '<${raw.trim()}>'.`)
+    return null
+  }
+
+  const element = { name: nameMatch[0], line, attributes: {}, children: [] }
+  let index = nameMatch[0].length
+  while (index < raw.length) {
+    if (/^\s*$/.test(raw.slice(index))) break // Only trailing whitespace left.
+
+    ATTRIBUTE_PATTERN.lastIndex = index
+    const match = ATTRIBUTE_PATTERN.exec(raw)
+    // Attributes may sit on lines below the tag name.
+    const attributeLine = line + countLines(raw, 0, index + raw.slice(index).search(/\S/))
+    if (!match) {
+      report(
+        attributeLine,
+        `Malformed attribute in <${element.name}> near '${raw.slice(index).trim().slice(0, 20)}'` +
+          ' (attributes need name="value").'
+      )
+      break
+    }
+
+    const [, name, doubleQuoted, singleQuoted] = match
+    if (element.attributes[name]) {
+      report(attributeLine, `Duplicate attribute '${name}' on <${element.name}>.`)
+    }
+    const value = decodeEntities(doubleQuoted ?? singleQuoted, (message) =>
+      report(attributeLine, message)
+    )
+    element.attributes[name] = { value, line: attributeLine }
+    index = ATTRIBUTE_PATTERN.lastIndex
+  }
+  return element
+}
+
+/**
+ * Parses an XML document into an element tree, checking that it is well-formed.
+ * Supports the subset of XML used by show files: elements, attributes, comments, the XML
+ * declaration and whitespace between elements.
+ * @param {string} text - The document.
+ * @returns {{root: XmlElement|null, errors: ShowError[]}} The root element and any problems.
+ */
+export function parseXml(text) {
+  const errors = []
+  const report = (line, message) => errors.push({ line, message })
+  const stack = [] // Open elements, innermost last.
+  let root = null
+  let index = 0
+  let line = 1
+
+  // Moves the cursor forward, keeping the line count in step.
+  const advanceTo = (end) => {
+    line += countLines(text, index, end)
+    index = end
+  }
+
+  while (index < text.length) {
+    const tagStart = text.indexOf('<', index)
+    const textEnd = tagStart === -1 ? text.length : tagStart
+    const content = text.slice(index, textEnd)
+    if (content.trim() !== '') {
+      const textLine = line + countLines(content, 0, content.search(/\S/))
+      report(textLine, `Unexpected text '${content.trim().slice(0, 20)}'.`)
+    }
+    advanceTo(textEnd)
+    if (tagStart === -1) break
+
+    // Comments and the XML declaration are skipped.
+    const skipped = [
+      ['<!--', '-->', 'comment'],
+      ['<?', '?>', 'processing instruction']
+    ].find(([open]) => text.startsWith(open, index))
+    if (skipped) {
+      const [open, close, label] = skipped
+      const end = text.indexOf(close, index + open.length)
+      if (end === -1) {
+        report(line, `Unclosed ${label}.`)
+        break
+      }
+      advanceTo(end + close.length)
+      continue
+    }
+    if (text.startsWith('<!', index)) {
+      report(line, 'Unsupported markup declaration (e.g. DOCTYPE or CDATA).')
+      const end = text.indexOf('>', index)
+      if (end === -1) break
+      advanceTo(end + 1)
+      continue
+    }
+
+    const tagEnd = findTagEnd(text, index)
+    if (tagEnd === -1) {
+      report(line, "Unclosed tag: missing '>'.")
+      break
+    }
+    const raw = text.slice(index + 1, tagEnd)
+    const tagLine = line
+
+    if (raw.startsWith('/')) {
+      // Closing tag: must match the innermost open element.
+      const name = raw.slice(1).trim()
+      const open = stack.pop()
+      if (!open) {
+        report(tagLine, `Unexpected closing tag </${name}>.`)
+      } else if (open.name !== name) {
+        report(
+          tagLine,
+          `Expected </${open.name}> (opened on line ${open.line}) but found </${name}>.`
+        )
+      }
+    } else {
+      const selfClosing = raw.endsWith('/')
+      const element = parseStartTag(selfClosing ? raw.slice(0, -1) : raw, tagLine, report)
+      if (element) {
+        if (stack.length > 0) {
+          stack[stack.length - 1].children.push(element)
+        } else if (root) {
+          report(tagLine, `Unexpected second root element <${element.name}>.`)
+        } else {
+          root = element
+        }
+        if (!selfClosing) stack.push(element)
+      }
+    }
+    advanceTo(tagEnd + 1)
+  }
+
+  stack.forEach((open) => report(open.line, `Element <${open.name}> is never closed.`))
+  if (!root && errors.length === 0) report(line, 'The document has no root element.')
+  errors.sort((a, b) => a.line - b.line)
+  return { root, errors }
+}
+
+// --- Schema Validation ---
+
+/**
+ * Reads a required attribute, reporting it if missing or not matching a pattern.
+ * @param {XmlElement} element - Element carrying the attribute.
+ * @param {string} name - Attribute name.
+ * @param {RegExp} pattern - Pattern the value must match.
+ * @param {string} expected - Description of valid values, used in the error message.
+ * @param {function(number, string): void} report - Called with each problem found.
+ * @returns {string|null} The value, or null if missing or invalid.
+ */
+const readAttribute = (element, name, pattern, expected, report) => {
+  const attribute = element.attributes[name]
+  if (!attribute) {
+    report(element.line, `<${element.name}> is missing the '${name}' attribute.`)
+    return null
+  }
+  if (!pattern.test(attribute.value.trim())) {
+    report(
+      attribute.line,
+      `Invalid ${name} '${attribute.value}' on <${element.name}> (expected ${expected}).`
+    )
+    return null
+  }
+  return attribute.value.trim()
+}
+
+/**
+ * Reports attributes that the schema does not define, usually typos (e.g. 'color').
+ * @param {XmlElement} element - Element to check.
+ * @param {string[]} allowed - Attribute names the element may carry.
+ * @param {function(number, string): void} report - Called with each problem found.
+ */
+const checkUnknownAttributes = (element, allowed, report) => {
+  Object.entries(element.attributes).forEach(([name, { line }]) => {
+    if (!allowed.includes(name)) {
+      report(line, `Unknown attribute '${name}' on <${element.name}>.`)
+    }
+  })
+}
+
+/**
+ * Checks a parameter value against its definition.
+ * @param {import('./fireworkTypes.js').ParameterDefinition} definition - The parameter.
+ * @param {*} value - The value, as a number, string or array of colours.
+ * @returns {string|null} A description of the valid values, or null if the value is one.
+ */
+const checkParameter = (definition, value) => {
+  const { kind, min, max, values } = definition
+  if (kind === 'integer' || kind === 'number') {
+    const valid = kind === 'integer' ? Number.isInteger(value) : Number.isFinite(value)
+    const expected = `${kind === 'integer' ? 'a whole number' : 'a number'} from ${min} to ${max}`
+    return valid && value >= min && value <= max ? null : expected
+  }
+  if (kind === 'choice') {
+    return values.includes(value) ? null : `one of ${values.join(', ')}`
+  }
+  const isColourList =
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((colour) => typeof colour === 'string' && COLOUR_PATTERN.test(colour))
+  return isColourList ? null : 'a list of hex colours like 0xFF2020'
+}
+
+/**
+ * Converts a parameter written as an XML attribute to its value.
+ * @param {import('./fireworkTypes.js').ParameterDefinition} definition - The parameter.
+ * @param {string} text - The attribute value.
+ * @returns {number|string|string[]} The value, still to be checked with `checkParameter`.
+ */
+const parseXmlParameter = ({ kind }, text) => {
+  const trimmed = text.trim()
+  if (kind === 'integer' || kind === 'number') {
+    return NUMBER_PATTERN.test(trimmed) ? parseFloat(trimmed) : NaN
+  }
+  if (kind === 'colours') return trimmed === '' ? [] : trimmed.split(/[\s,]+/)
+  return trimmed
+}
+
+/**
+ * Reads the <Parameters> of a firework, checking them against its type.
+ * @param {XmlElement} element - The <Parameters> element.
+ * @param {string} typeName - The firework's type; parameters of unknown types are not read.
+ * @param {function(number, string): void} report - Called with each problem found.
+ * @returns {object} The parameters set by the show, by name.
+ */
+const readParameters = (element, typeName, report) => {
+  if (element.children.length > 0) {
+    report(element.children[0].line, `<${element.name}> cannot contain elements.`)
+  }
+  const type = getFireworkType(typeName)
+  if (!type) return {}
+
+  const parameters = {}
+  Object.entries(element.attributes).forEach(([name, { value, line }]) => {
+    const definition = type.parameters[name]
+    if (!definition) {
+      report(line, `Unknown parameter '${name}' for type ${typeName}.`)
+      return
+    }
+    const parsed = parseXmlParameter(definition, value)
+    const expected = checkParameter(definition, parsed)
+    if (expected) {
+      report(line, `Invalid ${name} '${value}' on <Parameters> (expected ${expected}).`)
+    } else {
+      parameters[name] = parsed
+    }
+  })
+  return parameters
+}
+
+/**
+ * Reads the x and y coordinates of a <Position> or <Velocity> element.
+ * @param {XmlElement} element - The element.
+ * @param {function(number, string): void} report - Called with each problem found.
+ * @returns {{x: number, y: number}|null} The coordinates, or null if invalid.
+ */
+const readVector = (element, report) => {
+  checkUnknownAttributes(element, ['x', 'y'], report)
+  if (element.children.length > 0) {
+    report(element.children[0].line, `<${element.name}> cannot contain elements.`)
+  }
+  const x = readAttribute(element, 'x', NUMBER_PATTERN, 'a number', report)
+  const y = readAttribute(element, 'y', NUMBER_PATTERN, 'a number', report)
+  return x !== null && y !== null ? { x: parseFloat(x), y: parseFloat(y) } : null
+}
+
+/**
+ * Converts a rocket velocity read from a show to px/s.
+ * @param {{x: number, y: number}} velocity - The velocity, as written in the show.
+ * @param {number} version - The show's version.
+ * @returns {{velocityX: number, velocityY: number}} The velocity of the timeline event.
+ */
+const readVelocity = ({ x, y }, version) => {
+  if (version >= 2) return { velocityX: x, velocityY: y }
+  return {
+    velocityX: (x * LEGACY_FRAMES_PER_SECOND) / LEGACY_VELOCITY_DIVISORS.x,
+    velocityY: (y * LEGACY_FRAMES_PER_SECOND) / LEGACY_VELOCITY_DIVISORS.y
+  }
+}
+
+/**
+ * Validates a <Firework> element and converts it to a timeline event.
+ * @param {XmlElement} element - The <Firework> element.
+ * @param {number} version - The show's version, which sets the unit of its velocities.
+ * @param {function(number, string): void} report - Called with each problem found.
+ * @returns {import('./timeline.js').FireworkEvent|null} The firework, or null if invalid.
+ */
+const readFirework = (element, version, report) => {
+  let valid = true
+  const check = (line, message) => {
+    valid = false
+    report(line, message)
+  }
+
+  checkUnknownAttributes(element, FIREWORK_ATTRIBUTES, check)
+  const begin = readAttribute(element, 'begin', INTEGER_PATTERN, 'a whole number of ms', check)
+  const duration = readAttribute(
+    element,
+    'duration',
+    INTEGER_PATTERN,
+    'a whole number of ms',
+    check
+  )
+  const colour = readAttribute(
+    element,
+    'colour',
+    COLOUR_PATTERN,
+    'a hex colour like 0xFF2020',
+    check
+  )
+  const type = element.attributes.type
+  if (!type) {
+    check(element.line, `<Firework> is missing the 'type' attribute.`)
+  } else if (!getFireworkType(type.value)) {
+    check(
+      type.line,
+      `Unknown firework type '${type.value}' (expected one of ${TYPE_NAMES.join(', ')}).`
+    )
+  }
+
+  let position = null
+  let velocity = { x: 0, y: 0 } // Optional; fountains ignore it.
+  let parameters = {} // Optional; unset parameters take the type's defaults.
+  const seen = new Set()
+  element.children.forEach((child) => {
+    if (!CHILD_ELEMENTS.includes(child.name)) {
+      check(child.line, `Unknown element <${child.name}> in <Firework>.`)
+      return
+    }
+    if (seen.has(child.name)) {
+      check(child.line, `<Firework> has more than one <${child.name}>.`)
+      return
+    }
+    seen.add(child.name)
+    if (child.name === 'Parameters') {
+      parameters = readParameters(child, type?.value, check)
+      return
+    }
+    const vector = readVector(child, check)
+    if (child.name === 'Position') position = vector
+    else velocity = vector
+  })
+  if (!seen.has('Position')) check(element.line, '<Firework> is missing its <Position>.')
+
+  if (!valid) return null
+  return {
+    begin: parseInt(begin, 10),
+    type: type.value,
+    colour,
+    duration: parseInt(duration, 10),
+    x: position.x,
+    y: position.y,
+    ...readVelocity(velocity, version),
+    parameters
+  }
+}
+
+/**
+ * Parses and validates a show written as XML.
+ * @param {string} text - The XML document.
+ * @returns {ValidatedShow} The valid fireworks, the show's wind and every problem found, in
+ *   document order.
+ */
+export function validateShowXml(text) {
+  const { root, errors } = parseXml(text)
+  // The structure of a malformed document is unreliable, so it is not checked any further.
+  if (errors.length > 0) return { fireworks: [], wind: 0, errors }
+
+  const report = (line, message) => errors.push({ line, message })
+  const fireworks = []
+  if (root.name !== 'FireworkDisplay') {
+    report(root.line, `The root element must be <FireworkDisplay>, not <${root.name}>.`)
+  }
+  checkUnknownAttributes(root, SHOW_ATTRIBUTES, report)
+  const { version: versionAttribute, wind: windAttribute } = root.attributes
+  let version = 1
+  if (versionAttribute) {
+    const value = readAttribute(root, 'version', VERSION_PATTERN, 'version 1 or 2', report)
+    // An unknown version is read as the current one, the likeliest to match its velocities.
+    version = value === null ? SHOW_VERSION : parseInt(value, 10)
+  }
+  let wind = 0
+  if (windAttribute) {
+    const value = readAttribute(root, 'wind', NUMBER_PATTERN, 'a number of px/s²', report)
+    if (value !== null) wind = parseFloat(value)
+  }
+
+  root.children.forEach((child) => {
+    if (child.name !== 'Firework') {
+      report(child.line, `Unknown element <${child.name}> in <${root.name}>.`)
+      return
+    }
+    const firework = readFirework(child, version, report)
+    if (firework) fireworks.push(firework)
+  })
+
+  errors.sort((a, b) => a.line - b.line)
+  return { fireworks, wind, errors }
+}
+
+// --- JSON Shows ---
+
+/**
+ * Checks one firework of a JSON show and converts it to a timeline event.
+ * @param {*} firework - The firework as found in the show.
+ * @param {string} path - Property path of the firework, used in error messages.
+ * @param {number} version - The show's version, which sets the unit of its velocities.
+ * @param {function(string, string): void} report - Called with the path and message of each
+ *   problem found.
+ * @returns {import('./timeline.js').FireworkEvent|null} The firework, or null if invalid.
+ */
+const readJsonFirework = (firework, path, version, report) => {
+  if (typeof firework !== 'object' || firework === null || Array.isArray(firework)) {
+    report(path, 'A firework must be an object.')
+    return null
+  }
+
+  let valid = true
+  const check = (propertyPath, message) => {
+    valid = false
+    report(propertyPath, message)
+  }
+
+  Object.keys(firework).forEach((key) => {
+    if (![...FIREWORK_ATTRIBUTES, 'position', 'velocity', 'parameters'].includes(key)) {
+      check(`${path}.${key}`, `Unknown property '${key}'.`)
+    }
+  })
+  ;['begin', 'duration'].forEach((key) => {
+    if (firework[key] === undefined) {
+      check(path, `Missing '${key}'.`)
+    } else if (!Number.isInteger(firework[key]) || firework[key] < 0) {
+      check(
+        `${path}.${key}`,
+        `Invalid ${key} ${JSON.stringify(firework[key])} (expected a whole number of ms).`
+      )
+    }
+  })
+  if (firework.type === undefined) {
+    check(path, "Missing 'type'.")
+  } else if (!getFireworkType(firework.type)) {
+    check(
+      `${path}.type`,
+      `Unknown firework type ${JSON.stringify(firework.type)} (expected one of ${TYPE_NAMES.join(', ')}).`
+    )
+  }
+  if (firework.colour === undefined) {
+    check(path, "Missing 'colour'.")
+  } else if (typeof firework.colour !== 'string' || !COLOUR_PATTERN.test(firework.colour)) {
+    check(
+      `${path}.colour`,
+      `Invalid colour ${JSON.stringify(firework.colour)} (expected a hex colour like "0xFF2020").`
+    )
+  }
+
+  // Position is required, velocity optional (fountains ignore it).
+  const vectors = {}
+  ;['position', 'velocity'].forEach((key) => {
+    const vector = firework[key]
+    if (vector === undefined) {
+      if (key === 'position') check(path, "Missing 'position'.")
+      return
+    }
+    if (typeof vector !== 'object' || vector === null) {
+      check(`${path}.${key}`, `'${key}' must be an object with x and y.`)
+      return
+    }
+    Object.keys(vector).forEach((axis) => {
+      if (axis !== 'x' && axis !== 'y')
+        check(`${path}.${key}.${axis}`, `Unknown property '${axis}'.`)
+    })
+    ;['x', 'y'].forEach((axis) => {
+      if (vector[axis] === undefined) {
+        check(`${path}.${key}`, `Missing '${axis}'.`)
+      } else if (!Number.isFinite(vector[axis])) {
+        check(
+          `${path}.${key}.${axis}`,
+          `Invalid ${axis} ${JSON.stringify(vector[axis])} (expected a number).`
+        )
+      }
+    })
+    vectors[key] = vector
+  })
+
+  // Parameters are optional; those of unknown types are not checked.
+  const parameters = {}
+  const type = getFireworkType(firework.type)
+  if (firework.parameters !== undefined) {
+    const given = firework.parameters
+    if (typeof given !== 'object' || given === null || Array.isArray(given)) {
+      check(`${path}.parameters`, "'parameters' must be an object.")
+    } else if (type) {
+      Object.entries(given).forEach(([name, value]) => {
+        const definition = type.parameters[name]
+        if (!definition) {
+          check(
+            `${path}.parameters.${name}`,
+            `Unknown parameter '${name}' for type ${firework.type}.`
+          )
+          return
+        }
+        const expected = checkParameter(definition, value)
+        if (expected) {
+          check(
+            `${path}.parameters.${name}`,
+            `Invalid ${name} ${JSON.stringify(value)} (expected ${expected}).`
+          )
+        } else {
+          parameters[name] = value
+        }
+      })
+    }
+  }
+
+  if (!valid) return null
+  const velocity = vectors.velocity ?? { x: 0, y: 0 }
+  return {
+    begin: firework.begin,
+    type: firework.type,
+    colour: firework.colour,
+    duration: firework.duration,
+    x: vectors.position.x,
+    y: vectors.position.y,
+    ...readVelocity(velocity, version),
+    parameters
+  }
+}
+
+/**
+ * Validates a show given as an object in the JSON format (parsed JSON, or a show built at runtime).
+ * @param {*} show - The show.
+ * @returns {ValidatedShow} The valid fireworks, the show's wind and every problem found.
+ */
+export function validateShowJson(show) {
+  const errors = []
+  const report = (path, message) => errors.push({ path, message })
+  if (typeof show !== 'object' || show === null || !Array.isArray(show.fireworks)) {
+    report('fireworks', "A show must be an object with a 'fireworks' array.")
+    return { fireworks: [], wind: 0, errors }
+  }
+
+  Object.keys(show).forEach((key) => {
+    if (![...SHOW_ATTRIBUTES, 'fireworks'].includes(key)) report(key, `Unknown property '${key}'.`)
+  })
+  let version = 1
+  if (show.version !== undefined) {
+    if (show.version === 1 || show.version === 2) {
+      version = show.version
+    } else {
+      report('version', `Invalid version ${JSON.stringify(show.version)} (expected 1 or 2).`)
+      version = SHOW_VERSION // An unknown version is read as the current one.
+    }
+  }
+  let wind = 0
+  if (show.wind !== undefined) {
+    if (Number.isFinite(show.wind)) {
+      wind = show.wind
+    } else {
+      report('wind', `Invalid wind ${JSON.stringify(show.wind)} (expected a number of px/s²).`)
+    }
+  }
+
+  const fireworks = show.fireworks
+    .map((firework, index) => readJsonFirework(firework, `fireworks[${index}]`, version, report))
+    .filter((firework) => firework !== null)
+  return { fireworks, wind, errors }
+}
+
+/**
+ * Parses and validates a show written as JSON text.
+ * @param {string} text - The JSON document.
+ * @returns {ValidatedShow} The valid fireworks, the show's wind and every problem found; syntax
+ *   errors carry the line they occur on.
+ */
+export function validateShowJsonText(text) {
+  let show
+  try {
+    show = JSON.parse(text)
+  } catch (error) {
+    // Engines report the offset of a syntax error as "position N" in the message.
+    const position = /position (\d+)/.exec(error.message)
+    const line = position ? countLines(text, 0, parseInt(position[1], 10)) + 1 : 1
+    return { fireworks: [], wind: 0, errors: [{ line, message: `Invalid JSON: ${error.message}` }] }
+  }
+  return validateShowJson(show)
+}
+
+/**
+ * Formats a show error the way compilers and linters do, so editors can jump to the problem.
+ * @param {ShowError} error - The error.
+ * @param {string} source - File name or URL of the show.
+ * @returns {string} The message, e.g. 'data/fireworks.xml:12: Unknown firework type ...' or
+ *   'show.json: fireworks[2].colour: Invalid colour ...'.
+ */
+export function formatShowError({ line, path, message }, source) {
+  if (line !== undefined) return `${source}:${line}: ${message}`
+  return `${source}: ${path}: ${message}`
+}
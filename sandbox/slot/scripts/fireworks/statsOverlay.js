@@ -0,0 +1,73 @@
+import { Text } from 'pixi.js'
+import { getParticleStats } from './particleSystem.js'
+
+// --- Stats Overlay ---
+// Debug readout of the frame rate and the particle system's load, drawn in the stage's top-left
+// corner. Hidden unless the page is opened with `?fps` or it is toggled from the dev panel or
+// the fireworks editor.
+
+const REFRESH_INTERVAL = 250 // Time between two readouts (ms), so the numbers stay legible.
+
+let _app
+let text = null // Created the first time the overlay is shown.
+let sinceRefresh = 0
+
+/**
+ * Refreshes the readout on the application's ticker, which keeps running while the game's jobs
+ * are paused, and keeps it above everything else on stage.
+ */
+const refresh = () => {
+  sinceRefresh += _app.ticker.deltaMS
+  if (sinceRefresh < REFRESH_INTERVAL) return
+  sinceRefresh = 0
+
+  const { live, budget, pooled } = getParticleStats()
+  text.text = `FPS ${Math.round(_app.ticker.FPS)}\nParticles ${live} / ${budget}\nPooled ${pooled}`
+  if (_app.stage.children[_app.stage.children.length - 1] !== text) _app.stage.addChild(text)
+}
+
+/**
+ * Shows or hides the overlay.
+ * @param {boolean} [visible] - Desired visibility; toggles when omitted.
+ */
+export function toggleStatsOverlay(visible) {
+  if (!_app) {
+    console.error('Stats overlay not initialized. Call initStatsOverlay() first.')
+    return
+  }
+  if (!text) {
+    text = new Text('', { fontFamily: 'monospace', fontSize: 14, fill: 'white' })
+    text.position.set(8, 8)
+    text.visible = false
+  }
+
+  const show = visible === undefined ? !text.visible : visible
+  if (show === text.visible) return
+  text.visible = show
+  if (show) {
+    sinceRefresh = REFRESH_INTERVAL // Fills the readout on the next tick.
+    _app.stage.addChild(text)
+    _app.ticker.add(refresh)
+  } else {
+    _app.ticker.remove(refresh)
+    _app.stage.removeChild(text)
+  }
+}
+
+/**
+ * @returns {boolean} True while the overlay is shown.
+ */
+export function isStatsOverlayVisible() {
+  return Boolean(text?.visible)
+}
+
+/**
+ * Registers the stats overlay, showing it right away if the page is opened with `?fps`.
+ * @param {PIXI.Application} app - The PixiJS application instance.
+ */
+export function initStatsOverlay(app) {
+  _app = app
+  if (new URLSearchParams(window.location.search).has('fps')) {
+    toggleStatsOverlay(true)
+  }
+}
@@ -0,0 +1,185 @@
+import { loop } from '../tween/tween.js'
+
+// --- Fireworks Timeline ---
+// Plays a show: launches each firework at its begin time and advances every effect on stage.
+// The whole show runs on a single job of the shared clock (see tween.js), so it pauses with the
+// game and the hidden tab, and stopping it removes every firework, launched or not.
+
+/**
+ * A firework as scheduled in a show.
+ * @typedef {object} FireworkEvent
+ * @property {number} begin - Launch time from the start of the show (ms).
+ * @property {string} type - Firework type, e.g. 'Fountain' or 'Ring' (see fireworkTypes.js).
+ * @property {string} colour - Hexadecimal color code.
+ * @property {number} duration - Fountain emission time, or rocket flight time (ms).
+ * @property {number} x - X-coordinate (relative to canvas center).
+ * @property {number} y - Y-coordinate (relative to canvas center).
+ * @property {number} velocityX - Horizontal velocity for rockets (px/s, positive to the right).
+ * @property {number} velocityY - Vertical velocity for rockets (px/s, positive upwards).
+ * @property {object} [parameters] - Type parameters set by the show; the others take the type's
+ *   defaults.
+ */
+
+/**
+ * A launched firework, advanced by the timeline until it reports that it has finished.
+ * @typedef {object} FireworkEffect
+ * @property {function(number, boolean): boolean} update - Advances the effect by the given
+ *   milliseconds; the second argument is true while seeking, when no sound must play.
+ *   Returns true once the effect has finished.
+ * @property {function(): void} destroy - Removes the effect from the stage.
+ */
+
+/**
+ * @typedef {object} Timeline
+ * @property {function(): Timeline} play - Starts or resumes the show.
+ * @property {function(): Timeline} pause - Freezes the show, fireworks in flight included.
+ * @property {function(number): Timeline} seek - Jumps to a time (ms), rebuilding the fireworks
+ *   already under way at that time.
+ * @property {function(): void} stop - Ends the show and removes every firework from the stage.
+ * @property {function(function(): void): Timeline} onComplete - Registers a callback run once
+ *   every firework has launched and finished (not when stopped).
+ * @property {function(FireworkEvent[]): void} load - Sets the show's fireworks once loaded.
+ * @property {Promise<boolean>} done - Resolves with true when the show completes, or with false
+ *   when it is stopped.
+ * @property {number} time - Current show time (ms).
+ * @property {number} duration - Time the last firework ends its emission or flight (ms); effects
+ *   such as explosions may linger a little longer.
+ * @property {boolean} playing - True while the show advances.
+ * @property {boolean} ended - True once the show has completed or been stopped.
+ */
+
+/**
+ * Creates a timeline. The show can be controlled right away; time only starts advancing once
+ * its fireworks are loaded.
+ * @param {function(FireworkEvent, boolean): (FireworkEffect|null)} launchFirework - Creates the
+ *   effect of a firework on stage; the second argument is true while seeking.
+ * @returns {Timeline} The timeline, paused.
+ */
+export function createTimeline(launchFirework) {
+  let events = null // Sorted by begin time; null until loaded.
+  let nextEvent = 0 // Index of the first firework not launched yet.
+  const effects = new Set() // Fireworks currently on stage.
+  const completeCallbacks = []
+  let time = 0
+  let playing = false
+  let ended = false
+  let job = null // The shared-clock loop, running while the show plays.
+  let settle
+  const done = new Promise((resolve) => {
+    settle = resolve
+  })
+
+  /**
+   * Launches a firework and brings it to its age at the current show time.
+   * @param {FireworkEvent} event - The firework to launch.
+   * @param {boolean} seeking - True when rebuilding the show for a seek.
+   */
+  const launch = (event, seeking) => {
+    const effect = launchFirework(event, seeking)
+    if (!effect) return
+
+    // Effects simulate in fixed physics steps (see physics.js), so one update catches up on any
+    // age, even when seeking far into the show.
+    const age = time - event.begin
+    if (age > 0 && effect.update(age, seeking)) {
+      effect.destroy()
+    } else {
+      effects.add(effect)
+    }
+  }
+
+  const clearEffects = () => {
+    effects.forEach((effect) => effect.destroy())
+    effects.clear()
+  }
+
+  const end = (completed) => {
+    if (ended) return
+    ended = true
+    playing = false
+    if (job) job.cancel()
+    job = null
+    clearEffects()
+    if (completed) completeCallbacks.forEach((callback) => callback())
+    settle(completed)
+  }
+
+  /**
+   * Advances the show on every tick of the shared clock.
+   * @param {number} deltaMs - Milliseconds since the previous tick.
+   */
+  const update = (deltaMs) => {
+    if (!events) return // Still loading.
+
+    // Effects on stage move first, so fireworks launched below are not advanced twice.
+    effects.forEach((effect) => {
+      if (effect.update(deltaMs, false)) {
+        effect.destroy()
+        effects.delete(effect)
+      }
+    })
+    time += deltaMs
+    while (nextEvent < events.length && events[nextEvent].begin <= time) {
+      launch(events[nextEvent++], false)
+    }
+
+    if (nextEvent >= events.length && effects.size === 0) end(true)
+  }
+
+  const timeline = {
+    play() {
+      if (ended || playing) return timeline
+      playing = true
+      if (job) {
+        job.resume()
+      } else {
+        job = loop(update)
+      }
+      return timeline
+    },
+    pause() {
+      if (!playing) return timeline
+      playing = false
+      job.pause()
+      return timeline
+    },
+    seek(ms) {
+      if (ended) return timeline
+      clearEffects()
+      time = Math.max(0, ms)
+      nextEvent = 0
+      if (!events) return timeline // Applied when the show loads.
+
+      while (nextEvent < events.length && events[nextEvent].begin <= time) {
+        launch(events[nextEvent++], true)
+      }
+      return timeline
+    },
+    stop() {
+      end(false)
+    },
+    onComplete(callback) {
+      completeCallbacks.push(callback)
+      return timeline
+    },
+    load(loadedEvents) {
+      if (ended) return
+      events = [...loadedEvents].sort((a, b) => a.begin - b.begin)
+      timeline.seek(time)
+    },
+    done,
+    get time() {
+      return time
+    },
+    get duration() {
+      return events ? Math.max(0, ...events.map((event) => event.begin + event.duration)) : 0
+    },
+    get playing() {
+      return playing
+    },
+    get ended() {
+      return ended
+    }
+  }
+  return timeline
+}
@@ -0,0 +1,128 @@
+// --- Responsive Layout Manager ---
+// The game is designed at fixed sizes, one for landscape and one for portrait screens.
+// On every resize the manager picks the design matching the viewport, resizes the PixiJS
+// renderer to it and scales the whole cabinet (canvas and DOM overlays together) to fit, so the
+// balance, buttons and result message always stay aligned with the canvas.
+
+/**
+ * Design sizes per orientation, in CSS pixels before scaling.
+ * `canvas` is the PixiJS renderer size, `cabinet` the frame holding the canvas and overlays, and
+ * `overhang` the room taken outside the cabinet by the header and the side panels.
+ * The only place these sizes live: the stylesheet reads the canvas and cabinet sizes from the
+ * custom properties set on the cabinet (`--canvas-width`, `--cabinet-height`, ...).
+ */
+const LAYOUTS = {
+  landscape: {
+    canvas: { width: 1280, height: 720 },
+    cabinet: { width: 1408, height: 783 },
+    overhang: { top: 70, right: 290, bottom: 0, left: 200 }
+  },
+  portrait: {
+    canvas: { width: 720, height: 960 },
+    cabinet: { width: 760, height: 1400 },
+    overhang: { top: 70, right: 0, bottom: 380, left: 0 }
+  }
+}
+const VIEWPORT_MARGIN = 16 // Space kept free around the scaled game (px).
+const MAX_SCALE = 1 // The design is never blown up beyond its native size.
+
+const listeners = [] // Callbacks notified with the new layout after every change.
+
+let _app
+let _canvasCenter
+let _wrapper // Element sized to the scaled game, so the page flows around it.
+let _cabinet // Element scaled as a whole.
+let currentLayout = null
+let resizeRequested = false
+
+/**
+ * @typedef {object} Layout
+ * @property {'landscape'|'portrait'} orientation - The design in use.
+ * @property {number} width - Logical canvas width.
+ * @property {number} height - Logical canvas height.
+ * @property {number} scale - Scale applied to the cabinet to fit the viewport.
+ */
+
+/**
+ * Picks the design matching the viewport and applies it.
+ * Listeners are notified only when the canvas size changes; scaling alone needs no re-layout.
+ */
+const applyLayout = () => {
+  resizeRequested = false
+  const orientation = window.innerWidth >= window.innerHeight ? 'landscape' : 'portrait'
+  const design = LAYOUTS[orientation]
+
+  // Scale the cabinet, including the parts hanging outside it, to fit the viewport.
+  const totalWidth = design.overhang.left + design.cabinet.width + design.overhang.right
+  const totalHeight = design.overhang.top + design.cabinet.height + design.overhang.bottom
+  const scale = Math.min(
+    MAX_SCALE,
+    (window.innerWidth - VIEWPORT_MARGIN * 2) / totalWidth,
+    (window.innerHeight - VIEWPORT_MARGIN * 2) / totalHeight
+  )
+
+  document.body.classList.toggle('layout-portrait', orientation === 'portrait')
+  _wrapper.style.width = `${totalWidth * scale}px`
+  _wrapper.style.height = `${totalHeight * scale}px`
+  _cabinet.style.left = `${design.overhang.left * scale}px`
+  _cabinet.style.top = `${design.overhang.top * scale}px`
+  _cabinet.style.transform = `scale(${scale})`
+
+  const orientationChanged = !currentLayout || currentLayout.orientation !== orientation
+  currentLayout = { orientation, width: design.canvas.width, height: design.canvas.height, scale }
+  if (!orientationChanged) return
+
+  _cabinet.style.setProperty('--cabinet-width', `${design.cabinet.width}px`)
+  _cabinet.style.setProperty('--cabinet-height', `${design.cabinet.height}px`)
+  _cabinet.style.setProperty('--canvas-width', `${design.canvas.width}px`)
+  _cabinet.style.setProperty('--canvas-height', `${design.canvas.height}px`)
+  _app.renderer.resize(design.canvas.width, design.canvas.height)
+  // Updated in place: modules holding the object see the new center.
+  _canvasCenter.x = design.canvas.width / 2
+  _canvasCenter.y = design.canvas.height / 2
+  listeners.forEach((listener) => listener(currentLayout))
+}
+
+/**
+ * Schedules a layout pass for the next animation frame, coalescing bursts of resize events.
+ */
+const requestLayout = () => {
+  if (resizeRequested) return
+  resizeRequested = true
+  requestAnimationFrame(applyLayout)
+}
+
+/**
+ * Registers a callback run whenever the canvas size changes (e.g. landscape to portrait).
+ * The callback also runs immediately with the current layout.
+ * @param {function(Layout): void} listener - Receives the new layout.
+ */
+export function onLayoutChange(listener) {
+  listeners.push(listener)
+  if (currentLayout) listener(currentLayout)
+}
+
+/**
+ * @returns {Layout|null} The layout in use, or null before `initLayout`.
+ */
+export function getLayout() {
+  return currentLayout
+}
+
+/**
+ * Initializes the layout manager and applies the first layout.
+ * @param {PIXI.Application} app - The main PixiJS Application instance.
+ * @param {{x: number, y: number}} canvasCenter - Canvas center, kept up to date on resize.
+ * @param {HTMLElement} wrapper - Element the scaled game occupies in the page flow.
+ * @param {HTMLElement} cabinet - Element holding the canvas and its DOM overlays.
+ */
+export function initLayout(app, canvasCenter, wrapper, cabinet) {
+  _app = app
+  _canvasCenter = canvasCenter
+  _wrapper = wrapper
+  _cabinet = cabinet
+
+  window.addEventListener('resize', requestLayout)
+  window.addEventListener('orientationchange', requestLayout)
+  applyLayout()
+}
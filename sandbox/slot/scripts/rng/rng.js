@@ -0,0 +1,138 @@
+// --- Seedable Pseudo-Random Number Generator ---
+
+/**
+ * Normalizes any seed value (number or string) into an unsigned 32-bit integer.
+ * Strings are hashed so human-friendly seeds such as 'bug-1234' can be used.
+ * @param {number|string} seed - The seed to normalize.
+ * @returns {number} An unsigned 32-bit integer seed.
+ */
+const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0
+  }
+  // FNV-1a hash for string seeds.
+  let hash = 0x811c9dc5
+  const text = String(seed)
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Creates an independent, seedable PRNG (mulberry32).
+ * The same seed always produces the same sequence, and the internal state can be
+ * captured and restored to replay a sequence from any point.
+ * @param {number|string} seed - Initial seed.
+ * @returns {{
+ *   seed: number,
+ *   random: function(): number,
+ *   randomInt: function(number): number,
+ *   randomRange: function(number, number): number,
+ *   getState: function(): number,
+ *   setState: function(number): void
+ * }} The generator.
+ */
+export function createRng(seed) {
+  const normalizedSeed = normalizeSeed(seed)
+  let state = normalizedSeed
+
+  /**
+   * Returns the next number in the sequence.
+   * @returns {number} A float in the range [0, 1).
+   */
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  return {
+    seed: normalizedSeed,
+    random,
+    randomInt: (max) => Math.floor(random() * max), // Integer in [0, max).
+    randomRange: (min, max) => min + random() * (max - min), // Float in [min, max).
+    getState: () => state,
+    setState: (newState) => {
+      state = newState >>> 0
+    }
+  }
+}
+
+// --- Shared Game RNG ---
+
+/**
+ * Reads an optional `?seed=` query parameter so a session can be replayed exactly.
+ * Falls back to a time-based seed outside the browser or when no seed is given.
+ * @returns {number|string} The seed for the shared generator.
+ */
+const getInitialSeed = () => {
+  if (typeof window !== 'undefined' && window.location) {
+    const querySeed = new URLSearchParams(window.location.search).get('seed')
+    if (querySeed !== null) return querySeed
+  }
+  return Date.now()
+}
+
+// The single generator used by every game module. Sounds and fireworks have their own, so that
+// effects never change spin outcomes.
+let _rng = createRng(getInitialSeed())
+
+/**
+ * Re-seeds the shared generator, restarting its sequence.
+ * @param {number|string} seed - The new seed.
+ */
+export function setSeed(seed) {
+  _rng = createRng(seed)
+}
+
+/**
+ * @returns {number} The normalized seed of the shared generator.
+ */
+export function getSeed() {
+  return _rng.seed
+}
+
+/**
+ * Captures the shared generator's internal state (e.g. before a spin) so it can be replayed.
+ * @returns {number} The current state.
+ */
+export function getState() {
+  return _rng.getState()
+}
+
+/**
+ * Restores a state previously captured with `getState`.
+ * @param {number} state - The state to restore.
+ */
+export function setState(state) {
+  _rng.setState(state)
+}
+
+/**
+ * Drop-in replacement for `Math.random()` backed by the shared generator.
+ * @returns {number} A float in the range [0, 1).
+ */
+export function random() {
+  return _rng.random()
+}
+
+/**
+ * @param {number} max - Exclusive upper bound.
+ * @returns {number} An integer in the range [0, max).
+ */
+export function randomInt(max) {
+  return _rng.randomInt(max)
+}
+
+/**
+ * @param {number} min - Inclusive lower bound.
+ * @param {number} max - Exclusive upper bound.
+ * @returns {number} A float in the range [min, max).
+ */
+export function randomRange(min, max) {
+  return _rng.randomRange(min, max)
+}
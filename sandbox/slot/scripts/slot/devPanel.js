@@ -0,0 +1,196 @@
+// --- Developer / Cheat Panel ---
+// Hidden tooling for QA and demos. The panel is built on demand, so nothing ships in the
+// page markup; it appears only with the `?dev` query flag or the Ctrl+Shift+D shortcut.
+
+const TOGGLE_SHORTCUT_KEY = 'D' // Used together with Ctrl+Shift.
+
+let panel = null // Root element, created the first time the panel is shown.
+let messageLine = null // Reports actions the game refused, under the panel's sections.
+let _actions
+const devMode = new URLSearchParams(window.location.search).has('dev')
+
+/**
+ * Creates a DOM element with optional class name and text.
+ * @param {string} tag - Element tag name.
+ * @param {string} [className] - CSS class to apply.
+ * @param {string} [text] - Text content.
+ * @returns {HTMLElement} The new element.
+ */
+const createElement = (tag, className, text) => {
+  const element = document.createElement(tag)
+  if (className) element.className = className
+  if (text !== undefined) element.textContent = text
+  return element
+}
+
+/**
+ * Creates a panel button wired to a callback.
+ * @param {string} label - Button text.
+ * @param {function(): void} onClick - Click handler.
+ * @returns {HTMLButtonElement} The button.
+ */
+const createButton = (label, onClick) => {
+  const button = createElement('button', 'dev-panel-button', label)
+  button.addEventListener('click', onClick)
+  return button
+}
+
+/**
+ * Builds the panel: per-reel stop pickers, forced win/loss, balance override, spin replay and
+ * effects.
+ * @returns {HTMLElement} The panel root element.
+ */
+const buildPanel = () => {
+  const root = createElement('div', 'dev-panel')
+  root.appendChild(createElement('h2', 'dev-panel-title', 'Dev Panel'))
+
+  // Per-reel stop selection, listing every stop of each strip with its symbol.
+  const stopsSection = createElement('div', 'dev-panel-section')
+  stopsSection.appendChild(createElement('span', 'dev-panel-label', 'Reel stops'))
+  const stopSelects = _actions.reelStrips.map((strip, reelIndex) => {
+    const select = createElement('select', 'dev-panel-select')
+    select.title = `Reel ${reelIndex + 1}`
+    strip.forEach((stop, stopIndex) => {
+      const option = createElement('option', null, `${stopIndex}: ${stop.symbol}`)
+      option.value = stopIndex
+      select.appendChild(option)
+    })
+    stopsSection.appendChild(select)
+    return select
+  })
+  stopsSection.appendChild(
+    createButton('Spin forced stops', () =>
+      _actions.forceStops(stopSelects.map((select) => parseInt(select.value, 10)))
+    )
+  )
+  root.appendChild(stopsSection)
+
+  // Forced win on a chosen symbol, or a guaranteed loss.
+  const outcomeSection = createElement('div', 'dev-panel-section')
+  outcomeSection.appendChild(createElement('span', 'dev-panel-label', 'Outcome'))
+  const symbolSelect = createElement('select', 'dev-panel-select')
+  _actions.symbols.forEach((symbol) => {
+    const option = createElement('option', null, symbol)
+    option.value = symbol
+    symbolSelect.appendChild(option)
+  })
+  outcomeSection.appendChild(symbolSelect)
+  outcomeSection.appendChild(createButton('Force win', () => _actions.forceWin(symbolSelect.value)))
+  outcomeSection.appendChild(createButton('Force loss', () => _actions.forceLoss()))
+  root.appendChild(outcomeSection)
+
+  // Balance override.
+  const balanceSection = createElement('div', 'dev-panel-section')
+  balanceSection.appendChild(createElement('span', 'dev-panel-label', 'Balance'))
+  const balanceInput = createElement('input', 'dev-panel-input')
+  balanceInput.type = 'number'
+  balanceInput.min = '0'
+  balanceInput.value = '1000'
+  balanceSection.appendChild(balanceInput)
+  balanceSection.appendChild(
+    createButton('Set balance', () => {
+      const value = parseInt(balanceInput.value, 10)
+      if (Number.isFinite(value) && value >= 0) _actions.setBalance(value)
+    })
+  )
+  root.appendChild(balanceSection)
+
+  // Replays a spin from the state recorded in the spin history.
+  const replaySection = createElement('div', 'dev-panel-section')
+  replaySection.appendChild(createElement('span', 'dev-panel-label', 'Replay'))
+  const stateInput = createElement('input', 'dev-panel-input')
+  stateInput.type = 'number'
+  stateInput.min = '0'
+  stateInput.placeholder = 'state'
+  replaySection.appendChild(stateInput)
+  replaySection.appendChild(
+    createButton('Replay spin', () => {
+      const value = Number(stateInput.value)
+      if (stateInput.value !== '' && Number.isInteger(value) && value >= 0) {
+        _actions.replaySpin(value)
+      }
+    })
+  )
+  root.appendChild(replaySection)
+
+  // Effects.
+  const effectsSection = createElement('div', 'dev-panel-section')
+  effectsSection.appendChild(createElement('span', 'dev-panel-label', 'Effects'))
+  effectsSection.appendChild(createButton('Fireworks', () => _actions.triggerFireworks()))
+  effectsSection.appendChild(createButton('FPS / particles', () => _actions.toggleStats()))
+  root.appendChild(effectsSection)
+
+  messageLine = createElement('p', 'dev-panel-message')
+  root.appendChild(messageLine)
+
+  return root
+}
+
+/**
+ * Shows or hides the panel, building it the first time it is shown.
+ * @param {boolean} [visible] - Desired visibility; toggles when omitted.
+ */
+export function toggleDevPanel(visible) {
+  if (!panel) {
+    panel = buildPanel()
+    panel.hidden = true
+    document.body.appendChild(panel)
+  }
+  panel.hidden = visible === undefined ? !panel.hidden : !visible
+}
+
+/**
+ * Shows a message at the bottom of the panel, e.g. why an action was refused.
+ * @param {string} message - The message; an empty string clears it.
+ */
+export function showDevMessage(message) {
+  if (!messageLine) return // The panel was never shown, so nothing was asked of it.
+  messageLine.textContent = message
+}
+
+/**
+ * @returns {boolean} True on pages opened with `?dev`.
+ */
+export function isDevMode() {
+  return devMode
+}
+
+/**
+ * Logs a developer message to the console, only on pages opened with `?dev`, so players'
+ * consoles stay quiet.
+ * @param {string} message - The message.
+ */
+export function devLog(message) {
+  if (devMode) console.info(message)
+}
+
+/**
+ * Registers the developer panel. It stays hidden unless the page is opened with `?dev`
+ * or the Ctrl+Shift+D shortcut is pressed.
+ * @param {object} actions - Game hooks the panel drives.
+ * @param {{symbol: string}[][]} actions.reelStrips - The reel strips, for stop selection.
+ * @param {string[]} actions.symbols - Symbol IDs available for forced wins.
+ * @param {function(number[]): void} actions.forceStops - Plays a spin landing on the given stops.
+ * @param {function(string): void} actions.forceWin - Plays a spin lining up the given symbol.
+ * @param {function(): void} actions.forceLoss - Plays a spin with no winning line.
+ * @param {function(number): void} actions.setBalance - Overrides the player's balance.
+ * @param {function(number): void} actions.replaySpin - Plays a spin from a recorded generator
+ *   state.
+ * @param {function(): void} actions.triggerFireworks - Starts the fireworks show directly.
+ * @param {function(): void} actions.toggleStats - Shows or hides the frame rate and particle
+ *   count overlay.
+ */
+export function initDevPanel(actions) {
+  _actions = actions
+
+  document.addEventListener('keydown', (event) => {
+    if (event.ctrlKey && event.shiftKey && event.key.toUpperCase() === TOGGLE_SHORTCUT_KEY) {
+      event.preventDefault()
+      toggleDevPanel()
+    }
+  })
+
+  if (devMode) {
+    toggleDevPanel(true)
+  }
+}
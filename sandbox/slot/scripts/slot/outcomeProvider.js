@@ -0,0 +1,57 @@
+import * as RNG from '../rng/rng.js'
+import { drawStops } from './slotMath.js'
+
+/**
+ * An outcome provider decides where each reel stops for a spin.
+ * The game only depends on this interface, so results can come from the client RNG,
+ * a local mock "game server", or a real backend.
+ * @typedef {object} OutcomeProvider
+ * @property {string} name - Identifier shown in spin logs.
+ * @property {function({reelStrips: {symbol: string, weight: number}[][]}): Promise<{stops: number[]}>} getOutcome
+ *   Resolves with one stop index per reel strip.
+ */
+
+/**
+ * Creates the default provider, drawing weighted stops on the client.
+ * @param {function(): number} [random=RNG.random] - Source of uniform numbers in [0, 1).
+ * @returns {OutcomeProvider} The local outcome provider.
+ */
+export function createLocalOutcomeProvider(random = RNG.random) {
+  return {
+    name: 'local',
+    getOutcome: async ({ reelStrips }) => ({
+      stops: drawStops(reelStrips, random)
+    })
+  }
+}
+
+/**
+ * Creates a provider that emulates a remote game server.
+ * It owns a separately seeded generator and answers after a simulated network delay,
+ * tagging each outcome with a round ID and the server RNG state used to produce it.
+ * @param {object} [options] - Mock server options.
+ * @param {number|string} [options.seed=Date.now()] - Seed for the server-side generator.
+ * @param {number} [options.state] - Generator state to start from, e.g. the `state` of a
+ *   reported round, so that round is played again first.
+ * @param {number} [options.latency=250] - Simulated response time in milliseconds.
+ * @returns {OutcomeProvider} The mock server outcome provider.
+ */
+export function createMockServerOutcomeProvider({ seed = Date.now(), state, latency = 250 } = {}) {
+  const serverRng = RNG.createRng(seed)
+  if (state !== undefined) serverRng.setState(state)
+  let roundId = 0
+
+  return {
+    name: 'mock-server',
+    getOutcome: ({ reelStrips }) =>
+      new Promise((resolve) => {
+        roundId++
+        const state = serverRng.getState() // Lets a reported round be replayed on the server.
+        const stops = drawStops(reelStrips, serverRng.random)
+
+        setTimeout(() => {
+          resolve({ stops, roundId, seed: serverRng.seed, state })
+        }, latency)
+      })
+  }
+}
@@ -0,0 +1,147 @@
+import { calculatePayout } from './paytable.js'
+
+// --- Payline Definitions ---
+
+/**
+ * Paylines available on the 3x3 grid, defined purely as data.
+ * `rows` lists, for each reel from left to right, the visible row the line crosses
+ * (0 = top, 1 = middle, 2 = bottom). `colour` is used for the on-stage highlight.
+ * @type {{id: number, name: string, rows: number[], colour: number}[]}
+ */
+export const PAYLINES = [
+  { id: 1, name: 'Middle', rows: [1, 1, 1], colour: 0xffd700 },
+  { id: 2, name: 'Top', rows: [0, 0, 0], colour: 0xff4040 },
+  { id: 3, name: 'Bottom', rows: [2, 2, 2], colour: 0x40c0ff },
+  { id: 4, name: 'Diagonal Down', rows: [0, 1, 2], colour: 0x40ff80 },
+  { id: 5, name: 'Diagonal Up', rows: [2, 1, 0], colour: 0xff80ff },
+  { id: 6, name: 'V', rows: [0, 1, 0], colour: 0xff9020 },
+  { id: 7, name: 'Inverted V', rows: [2, 1, 2], colour: 0xa0ff20 }
+]
+
+// --- Win Evaluation ---
+
+/**
+ * Reads the symbols crossed by a payline from the visible grid.
+ * @param {Array<Array<*>>} grid - Visible symbols indexed as `grid[reel][row]`.
+ * @param {{rows: number[]}} payline - The payline to follow.
+ * @returns {Array<*>} One symbol per reel, left to right.
+ */
+export function getSymbolsOnPayline(grid, payline) {
+  return payline.rows.map((row, reelIndex) => grid[reelIndex][row])
+}
+
+/**
+ * Counts how many consecutive symbols, starting from the leftmost reel, match a symbol.
+ * When a wild symbol is given, wilds extend the run as if they were the matched symbol.
+ * @param {Array<*>} symbols - One symbol per reel, left to right.
+ * @param {*} [matchSymbol=symbols[0]] - The symbol to match (defaults to the leftmost one).
+ * @param {*} [wildSymbol=null] - Symbol that substitutes for `matchSymbol`, if any.
+ * @returns {number} Length of the matching run (0 if the symbol to match is null).
+ */
+export function countMatchesFromLeft(symbols, matchSymbol = symbols[0], wildSymbol = null) {
+  if (matchSymbol === null || matchSymbol === undefined) return 0
+
+  let count = 0
+  while (
+    count < symbols.length &&
+    (symbols[count] === matchSymbol || (wildSymbol !== null && symbols[count] === wildSymbol))
+  ) {
+    count++
+  }
+  return count
+}
+
+/**
+ * Finds the best-paying combination on a single line, applying the paytable's wild rules.
+ * Without a `wild` entry in the paytable, only runs of identical symbols pay.
+ * With one, wilds substitute for every symbol not listed in `wild.excludes` (e.g. the scatter).
+ * A run made only of wilds pays the wild's own prize when `wild.allWildPays` is set, and
+ * otherwise pays as the best substitutable symbol. The highest payout wins.
+ * @param {Array<string|null>} symbols - One symbol ID per reel, left to right.
+ * @param {object} paytable - The loaded paytable (see `paytable.js`).
+ * @param {number} bet - The bet amount payouts are scaled by.
+ * @returns {{symbol: string, count: number, payout: number}|null} The winning combination, or
+ *   null if the line does not pay.
+ */
+export function evaluateLine(symbols, paytable, bet) {
+  const { wild } = paytable
+  const wildSymbol = wild ? wild.symbol : null
+  const excluded = (wild && wild.excludes) || []
+  const candidates = []
+
+  // Leading wilds take on the first other symbol of the line, if it can be substituted.
+  const leadingWilds = wildSymbol !== null ? countMatchesFromLeft(symbols, wildSymbol) : 0
+  const lineSymbol = symbols[leadingWilds]
+  if (lineSymbol !== undefined && lineSymbol !== null) {
+    const substitute = excluded.includes(lineSymbol) ? null : wildSymbol
+    const count = countMatchesFromLeft(symbols, lineSymbol, substitute)
+    if (count > 0) {
+      candidates.push({
+        symbol: lineSymbol,
+        count,
+        payout: calculatePayout(paytable, lineSymbol, count, bet)
+      })
+    }
+  }
+
+  // A run of wilds alone pays its own prize, or the best prize it can stand in for.
+  if (leadingWilds > 0) {
+    if (wild.allWildPays) {
+      candidates.push({
+        symbol: wildSymbol,
+        count: leadingWilds,
+        payout: calculatePayout(paytable, wildSymbol, leadingWilds, bet)
+      })
+    } else {
+      Object.keys(paytable.symbols)
+        .filter((symbol) => symbol !== wildSymbol && !excluded.includes(symbol))
+        .forEach((symbol) =>
+          candidates.push({
+            symbol,
+            count: leadingWilds,
+            payout: calculatePayout(paytable, symbol, leadingWilds, bet)
+          })
+        )
+    }
+  }
+
+  const best = candidates.reduce(
+    (bestSoFar, candidate) =>
+      !bestSoFar || candidate.payout > bestSoFar.payout ? candidate : bestSoFar,
+    null
+  )
+  return best && best.payout > 0 ? best : null
+}
+
+/**
+ * Evaluates every payline against the visible grid using the paytable.
+ * A line wins when the run of matching symbols from the leftmost reel has a paytable entry,
+ * so both full and partial (e.g. 2-of-a-kind) matches can pay. Wilds substitute according to
+ * the paytable's `wild` rules (see `evaluateLine`).
+ * @param {Array<Array<string|null>>} grid - Visible symbol IDs indexed as `grid[reel][row]`.
+ * @param {object} paytable - The loaded paytable (see `paytable.js`).
+ * @param {number} bet - The bet amount payouts are scaled by.
+ * @param {object[]} [paylines=PAYLINES] - The paylines to evaluate.
+ * @returns {{payline: object, symbol: string, count: number, positions: number[][], payout: number}[]}
+ *   Every winning line, with its symbol, match count, the `[reel, row]` cells it covers and its payout.
+ */
+export function evaluatePaylines(grid, paytable, bet, paylines = PAYLINES) {
+  const winningLines = []
+
+  paylines.forEach((payline) => {
+    const lineWin = evaluateLine(getSymbolsOnPayline(grid, payline), paytable, bet)
+
+    if (lineWin) {
+      winningLines.push({
+        payline,
+        symbol: lineWin.symbol,
+        count: lineWin.count,
+        // Only the matching cells (wilds included) are part of the win.
+        positions: payline.rows.slice(0, lineWin.count).map((row, reelIndex) => [reelIndex, row]),
+        payout: lineWin.payout
+      })
+    }
+  })
+
+  return winningLines
+}
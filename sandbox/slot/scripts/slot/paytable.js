@@ -0,0 +1,56 @@
+/**
+ * Asynchronously loads the paytable describing each symbol's payouts.
+ * Multipliers are keyed by the number of matching symbols counted from the leftmost reel,
+ * e.g. `{ "3": 10, "2": 1 }`, and are applied to the bet amount. `targetRtp` holds the
+ * RTP band enforced by `tools/simulateRtp.js`. The optional `wild` entry names the wild symbol,
+ * the symbols it cannot replace (`excludes`), whether an all-wild line pays the wild's own prize
+ * (`allWildPays`) and whether wilds fill their reel (`expanding`). `anticipation.minMultiplier`
+ * is the smallest full-line prize the last reel is held back for.
+ * @param {string} [url='./data/paytable.json'] - Location of the paytable JSON file.
+ * @returns {Promise<{symbols: Object<string, {name: string, pays: Object<string, number>}>}>}
+ *   The parsed paytable.
+ */
+export async function loadPaytable(url = './data/paytable.json') {
+  const response = await fetch(url)
+  if (!response.ok) {
+    // Throws an error for HTTP issues (e.g., 404, 500).
+    throw new Error(`HTTP error! status: ${response.status}`)
+  }
+  return response.json()
+}
+
+/**
+ * Looks up the payout multiplier for a run of matching symbols.
+ * @param {object} paytable - The loaded paytable.
+ * @param {string} symbol - The symbol ID (e.g. 'apple').
+ * @param {number} count - How many consecutive reels, from the left, show the symbol.
+ * @returns {number} The multiplier to apply to the bet, or 0 if the combination does not pay.
+ */
+export function getPayoutMultiplier(paytable, symbol, count) {
+  const entry = paytable.symbols[symbol]
+  if (!entry || !entry.pays) return 0
+  return entry.pays[count] || 0
+}
+
+/**
+ * Calculates the credit payout for a run of matching symbols at a given bet.
+ * @param {object} paytable - The loaded paytable.
+ * @param {string} symbol - The symbol ID.
+ * @param {number} count - Number of matching symbols from the leftmost reel.
+ * @param {number} bet - The bet amount the multiplier applies to.
+ * @returns {number} Whole credits won (0 for a non-paying combination).
+ */
+export function calculatePayout(paytable, symbol, count, bet) {
+  return Math.floor(getPayoutMultiplier(paytable, symbol, count) * bet)
+}
+
+/**
+ * Returns the display name configured for a symbol, falling back to its ID.
+ * @param {object} paytable - The loaded paytable.
+ * @param {string} symbol - The symbol ID.
+ * @returns {string} The human-readable symbol name.
+ */
+export function getSymbolName(paytable, symbol) {
+  const entry = paytable.symbols[symbol]
+  return entry && entry.name ? entry.name : symbol
+}
@@ -1,95 +1,160 @@
 import { Container, Sprite, Graphics } from 'pixi.js'
+import { wrapStripIndex } from './reelStrips.js'
+import { tween, loop, backOut, Easing } from '../tween/tween.js'
+import { onLayoutChange } from '../layout/layoutManager.js'
+import * as Audio from '../audio/audio.js'
 
 // --- Reel Configuration Constants ---
 const REEL_WIDTH = 280
 const SYMBOL_SIZE = 160
 const CELL_HEIGHT = 200
 const NUM_VISIBLE_SYMBOLS = 3
-const NUM_SYMBOLS_PER_REEL_STRIP = 10 // Total symbols in a reel strip.
+const NUM_SYMBOLS_PER_REEL_STRIP = 10 // Sprites recycled to render each reel's strip.
 const SPIN_DURATION_BASE = 2000 // Base duration for a reel spin in milliseconds.
+const SPIN_STOP_STAGGER = 500 // Extra duration per reel, so reels stop left to right (ms).
+const ANTICIPATION_DURATION = 2000 // Extra time the last reel takes to stop on anticipation (ms).
+const REEL_AREA_MARGIN = 20 // Minimum space kept between the reels and the canvas edges (px).
+const WILD_FLIP_DURATION = 150 // Duration of each half of a symbol's flip into a wild (ms).
+const WILD_EXPAND_STAGGER = 200 // Delay between the expansion of consecutive wild reels (ms).
 
 const reels = [] // Stores reel objects, each containing its PixiJS Container and symbols.
 const reelContainer = new Container() // Main container holding all individual reel containers.
+const paylineOverlay = new Graphics() // Drawn above the reels to highlight winning paylines.
+const anticipationOverlay = new Graphics() // Pulsing frame around the last reel on anticipation.
 
 let _app // Reference to the main PixiJS Application instance.
-let _slotTextures // Array of pre-loaded PIXI.Texture objects for slot symbols.
+let _symbolTextures // Pre-loaded PIXI.Texture objects keyed by symbol ID.
+let _reelStrips // Per-reel arrays of symbol IDs, top to bottom.
+let spinSpeed = 1 // Multiplier applied to spin durations (below 1 in turbo mode).
 
-// --- Utility Functions for Tweening ---
+// --- Reel Strip Mapping ---
 
 /**
- * Performs linear interpolation between two values.
- * @param {number} a - Start value.
- * @param {number} b - End value.
- * @param {number} t - Interpolation factor (0.0 to 1.0).
- * @returns {number} The interpolated value.
+ * Resolves which strip index a symbol position shows for the reel's current scroll position.
+ * The reel's scroll position and the Y coordinate identify a cell of the virtual strip, so the
+ * reel always renders the real strip order.
+ * @param {object} reel - The reel object.
+ * @param {number} symbolY - A Y-center within the reel container.
+ * @returns {number} The index into `reel.strip` of the symbol occupying that cell.
  */
-const lerp = (a, b, t) => a + (b - a) * t
+const getStripIndexAt = (reel, symbolY) => {
+  // Cell 1 is the middle row when the reel sits at position 0, showing strip index 0.
+  const cell = Math.round((symbolY - CELL_HEIGHT / 2 - reel.position) / CELL_HEIGHT)
+  return wrapStripIndex(cell - 1, reel.strip.length)
+}
 
 /**
- * Implements a "backout" easing function, providing an overshoot and settle effect.
- * Ideal for reel stops to add a subtle bounce.
- * @param {number} amount - The magnitude of the overshoot.
- * @returns {function(number): number} An easing function taking time `t` (0.0-1.0).
+ * Lays out a reel's sprite slots for its current scroll position.
+ * Slot `j` sits `j` cells below the reel's scroll position, wrapped over the height covered by
+ * the sprites, so every slot is a pure function of the position and never drifts. A slot's
+ * texture only changes when it moves onto another strip index.
+ * @param {object} reel - The reel object to lay out.
  */
-const backout = (amount) => (t) => {
-  t = t - 1
-  return t * t * ((amount + 1) * t + amount) + 1
+const layoutReel = (reel) => {
+  const spriteLoopHeight = NUM_SYMBOLS_PER_REEL_STRIP * CELL_HEIGHT // Height covered by the slots.
+
+  reel.symbols.forEach((symbol, slotIndex) => {
+    // Slots span one cell above the visible area down to the bottom of the loop.
+    let top = (slotIndex * CELL_HEIGHT + reel.position + CELL_HEIGHT) % spriteLoopHeight
+    if (top < 0) top += spriteLoopHeight
+    symbol.y = top - CELL_HEIGHT + CELL_HEIGHT / 2
+
+    const stripIndex = getStripIndexAt(reel, symbol.y)
+    if (stripIndex !== symbol.stripIndex && !reel.expandedSymbol) {
+      symbol.stripIndex = stripIndex
+      symbol.texture = _symbolTextures[reel.strip[stripIndex]]
+    }
+  })
 }
 
 /**
- * Animates a numeric property of a given object over a specified duration.
- * Utilizes `requestAnimationFrame` for smooth, browser-optimized animation.
- * @param {object} object - The target object for animation.
- * @param {string} property - The property name to animate (e.g., 'y' for vertical position).
- * @param {number} target - The final value for the animated property.
- * @param {number} time - Animation duration in milliseconds.
- * @param {function(number): number} func - Easing function to control animation progression.
- * @param {function(): void} onComplete - Callback executed upon animation completion.
+ * Finds the sprites currently sitting on each visible row of a reel.
+ * @param {object} reel - The reel object to inspect.
+ * @returns {Array<PIXI.Sprite|null>} One sprite per visible row (row 0 = top), or null if none.
  */
-const tweenTo = (object, property, target, time, func, onComplete) => {
-  const start = object[property]
-  const startTime = Date.now()
-  const endTime = startTime + time
-
-  const animate = () => {
-    const now = Date.now()
-    if (now < endTime) {
-      const t = (now - startTime) / time
-      object[property] = lerp(start, target, func(t))
-      requestAnimationFrame(animate)
-    } else {
-      object[property] = target // Ensure final value is exact.
-      if (onComplete) {
-        onComplete() // Execute completion callback.
-      }
-    }
+const getVisibleSprites = (reel) => {
+  const tolerance = 5 // Pixel tolerance for float comparison of symbol positions.
+  const sprites = []
+  for (let row = 0; row < NUM_VISIBLE_SYMBOLS; row++) {
+    // Calculate the target Y-center for this visible row.
+    const targetCenterY = CELL_HEIGHT * row + CELL_HEIGHT / 2
+    sprites.push(reel.symbols.find((s) => Math.abs(s.y - targetCenterY) < tolerance) || null)
   }
-  requestAnimationFrame(animate)
+  return sprites
 }
 
 // --- Core Reel Management Functions ---
 
+// --- Anticipation Highlight ---
+
+/**
+ * Shows or hides the pulsing frame around the last reel.
+ * @param {boolean} visible - True to show the highlight.
+ */
+const setAnticipationHighlight = (visible) => {
+  anticipationOverlay.clear()
+  if (!visible) return
+
+  const lastReelX = (reels.length - 1) * REEL_WIDTH
+  anticipationOverlay.lineStyle(10, 0xffd700, 1)
+  anticipationOverlay.drawRoundedRect(
+    lastReelX + 5,
+    5,
+    REEL_WIDTH - 10,
+    CELL_HEIGHT * NUM_VISIBLE_SYMBOLS - 10,
+    15
+  )
+}
+
+/**
+ * Centers the reels on the canvas, shrinking them when the canvas is narrower than the reels
+ * (e.g. in portrait).
+ * @param {import('../layout/layoutManager.js').Layout} layout - The current layout.
+ */
+const layoutReelContainer = ({ width, height }) => {
+  const visibleSlotHeight = CELL_HEIGHT * NUM_VISIBLE_SYMBOLS
+  const totalReelsWidth = REEL_WIDTH * reels.length
+  const scale = Math.min(
+    1,
+    (width - REEL_AREA_MARGIN * 2) / totalReelsWidth,
+    (height - REEL_AREA_MARGIN * 2) / visibleSlotHeight
+  )
+
+  reelContainer.scale.set(scale)
+  reelContainer.x = (width - totalReelsWidth * scale) / 2
+  reelContainer.y = (height - visibleSlotHeight * scale) / 2
+}
+
 /**
  * Initiates the spinning animation for all reels.
  * Each reel spins for a base duration plus an index-based delay for a cascading stop.
- * @param {number[]} results - Array of target symbol indices for each reel's final stop.
- * @param {boolean} forceWin - Flag to visually adjust symbols for a forced win (for demo purposes).
+ * With anticipation, the last reel keeps spinning (and slowing) for longer, framed by a
+ * pulsing highlight once the other reels have stopped. Durations scale with the spin speed.
+ * @param {number[]} results - Array of target stop indices, one per reel strip, to land on the win line.
+ * @param {{anticipation: boolean}} [options] - Set `anticipation` to hold back the last reel.
  * @returns {Promise<void>} Resolves when all reels have completed their spin animation.
  */
-export function startReelSpin(results, forceWin) {
+export function startReelSpin(results, { anticipation = false } = {}) {
+  // Reels covered by an expanding wild show their real strip symbols again.
+  reels.forEach((reel) => {
+    if (!reel.expandedSymbol) return
+    reel.expandedSymbol = null
+    reel.symbols.forEach((symbol) => {
+      symbol.stripIndex = null // Forces the slot to re-read its strip symbol.
+    })
+    layoutReel(reel)
+  })
+
   return new Promise((resolve) => {
     let reelsStopping = 0 // Tracks the number of reels that have finished spinning.
+    const spinLoop = Audio.startSpinLoop() // Ticks until the last reel lands.
 
     reels.forEach((reel, index) => {
-      const totalStripHeight = NUM_SYMBOLS_PER_REEL_STRIP * CELL_HEIGHT
+      const totalStripHeight = reel.strip.length * CELL_HEIGHT
 
-      // Calculate the precise target Y position for the winning symbol within the reel strip.
-      // The winning symbol should align with the center visible slot (index 1 of 3).
-      const winningSymbolTargetYInStrip = results[index] * CELL_HEIGHT
-      const offsetToCenterVisibleArea = CELL_HEIGHT * 1 // Offset for the middle visible symbol.
-
-      // Determine the desired final scroll offset of the reel container.
-      let finalDesiredReelPosition = offsetToCenterVisibleArea - winningSymbolTargetYInStrip
+      // The stop index lands on the middle visible row when the reel position is
+      // `-stopIndex * CELL_HEIGHT` (modulo one full strip), see `getStripIndexAt`.
+      let finalDesiredReelPosition = -results[index] * CELL_HEIGHT
 
       // To ensure the reel always spins forward and completes multiple full rotations,
       // calculate the necessary additional spin distance.
@@ -103,6 +168,7 @@ export function startReelSpin(results, forceWin) {
       }
 
       let distanceToAlign = finalDesiredReelPosition - currentReelPositionNormalized
+      distanceToAlign %= totalStripHeight
       if (distanceToAlign < 0) {
         distanceToAlign += totalStripHeight // Ensure positive distance if target is "behind".
       }
@@ -110,56 +176,36 @@ export function startReelSpin(results, forceWin) {
 
       const targetPosition = reel.position + spinDistance
 
-      // Start the tween animation for the current reel.
-      reel.spinTween = tweenTo(
+      // Cascading stop: reels stop sequentially, the last one later still on anticipation.
+      const isLastReel = index === reels.length - 1
+      let duration = SPIN_DURATION_BASE + index * SPIN_STOP_STAGGER
+      if (anticipation && isLastReel) duration += ANTICIPATION_DURATION
+
+      // Start the tween animation for the current reel's scroll position.
+      reel.spinTween = tween(
         reel,
-        'position', // Animating the 'position' property of the reel object.
-        targetPosition,
-        SPIN_DURATION_BASE + index * 500, // Cascading stop: reels stop sequentially.
-        backout(0.5), // Easing function for a subtle bounce.
-        () => {
-          // Callback when an individual reel finishes its spin.
-          reelsStopping++
-          reel.spinTween = null // Clear tween reference.
-
-          // --- Force Win Visual Adjustment (for demo/testing) ---
-          // This logic visually "snaps" symbols to ensure the middle one is the winning symbol,
-          // and others are random, overriding the natural stop if `forceWin` is true.
-          if (forceWin) {
-            const winningTexture = _slotTextures[results[index]]
-            const visibleSymbols = []
-            const visibleAreaMinY = 0
-            const visibleAreaMaxY = NUM_VISIBLE_SYMBOLS * CELL_HEIGHT
-
-            // Collect symbols currently within the visible reel area.
-            for (const symbol of reel.symbols) {
-              if (
-                symbol.y + SYMBOL_SIZE / 2 > visibleAreaMinY &&
-                symbol.y - SYMBOL_SIZE / 2 < visibleAreaMaxY
-              ) {
-                visibleSymbols.push(symbol)
-              }
+        { position: targetPosition },
+        {
+          duration: duration * spinSpeed,
+          easing: backOut(0.5), // Easing function for a subtle bounce.
+          onComplete: () => {
+            // Callback when an individual reel finishes its spin.
+            reelsStopping++
+            reel.spinTween = null // Clear tween reference.
+            Audio.playReelStop()
+
+            // Only the anticipated reel is left spinning.
+            if (anticipation && reelsStopping === reels.length - 1) {
+              setAnticipationHighlight(true)
             }
 
-            visibleSymbols.sort((a, b) => a.y - b.y) // Sort by Y position (top to bottom).
-
-            if (visibleSymbols.length >= NUM_VISIBLE_SYMBOLS) {
-              visibleSymbols[1].texture = winningTexture // Set middle symbol to winning texture.
-
-              // Randomize top and bottom visible symbols, ensuring they are not the winning one.
-              const otherTextures = _slotTextures.filter((t) => t !== winningTexture)
-              visibleSymbols[0].texture =
-                otherTextures[Math.floor(Math.random() * otherTextures.length)]
-              visibleSymbols[2].texture =
-                otherTextures[Math.floor(Math.random() * otherTextures.length)]
+            // Resolve the main promise only when ALL reels have stopped.
+            if (reelsStopping === reels.length) {
+              spinLoop.stop()
+              setAnticipationHighlight(false)
+              resolve()
             }
           }
-          // --- End of Force Win Logic ---
-
-          // Resolve the main promise only when ALL reels have stopped.
-          if (reelsStopping === reels.length) {
-            resolve()
-          }
         }
       )
     })
@@ -167,27 +213,129 @@ export function startReelSpin(results, forceWin) {
 }
 
 /**
- * Retrieves the PIXI.Texture objects of the symbols currently visible at the win line (middle row) for each reel.
- * @returns {PIXI.Texture[]} An array containing the texture of the middle symbol from each reel.
+ * Slam stop: brings every spinning reel straight to its result.
  */
-export function getVisibleTexturesAtWinLine() {
-  const actualVisibleTextures = []
+export function slamStop() {
   reels.forEach((reel) => {
-    let middleSymbolTexture = null
-    // Calculate the target Y-center for the middle visible symbol slot.
-    const targetCenterY = CELL_HEIGHT * 1 + CELL_HEIGHT / 2
-    const tolerance = 5 // Pixel tolerance for float comparison of symbol positions.
-
-    // Find the symbol whose center is closest to the win line's center.
-    for (const symbol of reel.symbols) {
-      if (Math.abs(symbol.y - targetCenterY) < tolerance) {
-        middleSymbolTexture = symbol.texture
-        break
-      }
-    }
-    actualVisibleTextures.push(middleSymbolTexture)
+    if (reel.spinTween) reel.spinTween.finish()
   })
-  return actualVisibleTextures
+}
+
+/**
+ * Sets the global spin speed, e.g. for turbo mode.
+ * @param {number} factor - Multiplier applied to spin durations (1 = normal, lower is faster).
+ */
+export function setSpinSpeed(factor) {
+  spinSpeed = factor
+}
+
+/**
+ * Retrieves the symbol IDs visible on the 3x3 grid, as landed on the reel strips (or as covered
+ * by an expanding wild).
+ * @returns {Array<Array<string|null>>} Symbol IDs indexed as `grid[reel][row]` (row 0 = top).
+ */
+export function getVisibleSymbolGrid() {
+  return reels.map((reel) =>
+    getVisibleSprites(reel).map((symbol) => {
+      if (!symbol) return null
+      return reel.expandedSymbol || reel.strip[symbol.stripIndex]
+    })
+  )
+}
+
+/**
+ * Retrieves the symbol IDs (not textures, despite the name) currently visible at the win line
+ * (middle row) of each reel.
+ * @returns {Array<string|null>} The middle symbol ID of each reel.
+ */
+export function getVisibleTexturesAtWinLine() {
+  return getVisibleSymbolGrid().map((column) => column[1])
+}
+
+// --- Expanding Wilds ---
+
+/**
+ * Animates expanding wilds: every visible symbol on the given reels flips over into the wild.
+ * Reels expand one after another, left to right. The reels keep showing the wilds until the
+ * next spin starts.
+ * @param {number[]} reelIndices - Indices of the reels to fill with wilds.
+ * @param {string} wildSymbol - The wild symbol ID.
+ * @returns {Promise<void>} Resolves when every flip has finished.
+ */
+export function expandWilds(reelIndices, wildSymbol) {
+  const wildTexture = _symbolTextures[wildSymbol]
+
+  const flips = []
+  reelIndices.forEach((reelIndex, order) => {
+    const reel = reels[reelIndex]
+    reel.expandedSymbol = wildSymbol
+
+    getVisibleSprites(reel).forEach((symbol) => {
+      if (!symbol || symbol.texture === wildTexture) return // The landed wild stays put.
+
+      // Squash the symbol to nothing, swap in the wild, then open it back up.
+      const scaleX = symbol.scale.x
+      const squash = tween(
+        symbol.scale,
+        { x: 0 },
+        { duration: WILD_FLIP_DURATION, easing: Easing.quadIn, delay: order * WILD_EXPAND_STAGGER }
+      )
+      flips.push(
+        squash.done.then(() => {
+          symbol.texture = wildTexture
+          return tween(
+            symbol.scale,
+            { x: scaleX },
+            { duration: WILD_FLIP_DURATION, easing: backOut(1) }
+          ).done
+        })
+      )
+    })
+  })
+
+  return Promise.all(flips).then(() => {})
+}
+
+// --- Payline Highlighting ---
+
+/**
+ * Draws highlighted overlays for the given winning lines on top of the reels.
+ * Each line is drawn through the centers of its cells, and each winning cell is framed.
+ * @param {{payline: {colour: number}, positions: number[][]}[]} winningLines - Lines returned by the payline evaluator.
+ */
+export function showWinningLines(winningLines) {
+  clearWinningLines()
+
+  winningLines.forEach(({ payline, positions }) => {
+    const points = positions.map(([reelIndex, row]) => ({
+      x: reelIndex * REEL_WIDTH + REEL_WIDTH / 2,
+      y: row * CELL_HEIGHT + CELL_HEIGHT / 2
+    }))
+
+    // Frame each winning cell.
+    paylineOverlay.lineStyle(6, payline.colour, 0.9)
+    points.forEach(({ x, y }) => {
+      paylineOverlay.drawRoundedRect(
+        x - SYMBOL_SIZE / 2 - 10,
+        y - SYMBOL_SIZE / 2 - 10,
+        SYMBOL_SIZE + 20,
+        SYMBOL_SIZE + 20,
+        15
+      )
+    })
+
+    // Connect the cells, starting from the outer left edge of the reel area.
+    paylineOverlay.lineStyle(8, payline.colour, 0.75)
+    paylineOverlay.moveTo(0, points[0].y)
+    points.forEach(({ x, y }) => paylineOverlay.lineTo(x, y))
+  })
+}
+
+/**
+ * Removes any payline highlights currently drawn over the reels.
+ */
+export function clearWinningLines() {
+  paylineOverlay.clear()
 }
 
 /**
@@ -195,24 +343,22 @@ export function getVisibleTexturesAtWinLine() {
  * Sets up the PixiJS display objects for the reels, their masks, and populates them with symbols.
  * Attaches the main reel update loop to the PixiJS ticker.
  * @param {PIXI.Application} appInstance - The main PixiJS Application instance.
- * @param {PIXI.Texture[]} slotTexturesArray - An array of pre-loaded PixiJS Textures for the symbols.
+ * @param {Object<string, PIXI.Texture>} symbolTextures - Pre-loaded PixiJS Textures keyed by symbol ID.
+ * @param {string[][]} reelStripsArray - One strip per reel, as symbol IDs from top to bottom.
  */
-export function initReelManager(appInstance, slotTexturesArray) {
+export function initReelManager(appInstance, symbolTextures, reelStripsArray) {
   _app = appInstance
-  _slotTextures = slotTexturesArray
+  _symbolTextures = symbolTextures
+  _reelStrips = reelStripsArray
 
   // Add the main reel container to the PixiJS stage.
   _app.stage.addChild(reelContainer)
 
-  // Position the entire reel container to be centered on the screen.
   const visibleSlotHeight = CELL_HEIGHT * NUM_VISIBLE_SYMBOLS
-  const totalReelsWidth = REEL_WIDTH * 3 // Assuming 3 reels.
-  reelContainer.x = (_app.screen.width - totalReelsWidth) / 2
-  reelContainer.y = (_app.screen.height - visibleSlotHeight) / 2
 
   // Dynamically create and configure each individual reel.
-  for (let i = 0; i < 3; i++) {
-    // Loop for 3 reels.
+  for (let i = 0; i < _reelStrips.length; i++) {
+    // Loop for each configured reel strip.
     const rc = new Container() // Container for the current reel's symbols.
     rc.x = i * REEL_WIDTH // Horizontal positioning for each reel.
     reelContainer.addChild(rc)
@@ -229,64 +375,44 @@ export function initReelManager(appInstance, slotTexturesArray) {
     const reel = {
       container: rc, // The PixiJS container holding the reel's symbols.
       symbols: [], // Array of PIXI.Sprite objects representing symbols in this reel.
+      strip: _reelStrips[i], // Symbol IDs of this reel's virtual strip, top to bottom.
       position: 0, // Current vertical scroll position of the reel strip.
-      previousPosition: 0, // Used to calculate delta movement per frame.
-      spinTween: null // Holds the active tween instance during a spin.
+      expandedSymbol: null, // Wild symbol ID while an expanding wild covers the reel.
+      spinTween: null // Holds the active tween handle during a spin.
     }
 
-    // Populate the current reel with symbols.
+    // Populate the current reel with one sprite per slot; `layoutReel` positions and textures them.
     for (let j = 0; j < NUM_SYMBOLS_PER_REEL_STRIP; j++) {
-      // Create a symbol sprite with a random texture from the loaded set.
-      const symbol = new Sprite(_slotTextures[Math.floor(Math.random() * _slotTextures.length)])
+      const symbol = new Sprite(_symbolTextures[reel.strip[0]])
       symbol.anchor.set(0.5) // Center the sprite's origin for easier positioning.
       // Scale the symbol to fit the defined SYMBOL_SIZE while maintaining aspect ratio.
       symbol.scale.x = SYMBOL_SIZE / symbol.width
       symbol.scale.y = SYMBOL_SIZE / symbol.height
 
       symbol.x = REEL_WIDTH / 2 // Center horizontally within its reel column.
-      symbol.y = j * CELL_HEIGHT + CELL_HEIGHT / 2 // Initial vertical position within the strip.
+      symbol.stripIndex = null // Strip index the sprite currently shows, set by `layoutReel`.
       reel.symbols.push(symbol) // Add to reel's symbol array.
       rc.addChild(symbol) // Add to the reel's PixiJS container.
     }
+    layoutReel(reel)
     reels.push(reel) // Add the fully configured reel to the global reels array.
   }
 
+  // Payline and anticipation highlights sit above every reel so they are never masked.
+  reelContainer.addChild(paylineOverlay)
+  reelContainer.addChild(anticipationOverlay)
+
+  // Center (and fit) the reels now and whenever the canvas is resized.
+  onLayoutChange(layoutReelContainer)
+
   // Attach the main reel update loop to the PixiJS ticker.
-  // This function ensures continuous scrolling and symbol recycling during spins.
-  _app.ticker.add(() => {
-    for (let i = 0; i < reels.length; i++) {
-      const r = reels[i]
-
-      // Calculate vertical displacement of the reel since the last frame.
-      const deltaY = r.position - r.previousPosition
-      r.previousPosition = r.position // Update for next frame's calculation.
-
-      const totalStripHeight = NUM_SYMBOLS_PER_REEL_STRIP * CELL_HEIGHT
-
-      for (let j = 0; j < r.symbols.length; j++) {
-        const symbol = r.symbols[j]
-
-        // Move the symbol vertically based on the reel's scroll delta.
-        symbol.y += deltaY
-
-        // Implement continuous symbol recycling:
-        // If a symbol moves off the top, reposition it to the bottom of the strip.
-        if (symbol.y + CELL_HEIGHT / 2 < 0) {
-          symbol.y += totalStripHeight
-          // Only assign a new random texture if the reel is actively spinning.
-          if (r.spinTween) {
-            symbol.texture = _slotTextures[Math.floor(Math.random() * _slotTextures.length)]
-          }
-        }
-        // If a symbol moves off the bottom, reposition it to the top of the strip.
-        else if (symbol.y - CELL_HEIGHT / 2 > CELL_HEIGHT * NUM_VISIBLE_SYMBOLS) {
-          symbol.y -= totalStripHeight
-          // Only assign a new random texture if the reel is actively spinning.
-          if (r.spinTween) {
-            symbol.texture = _slotTextures[Math.floor(Math.random() * _slotTextures.length)]
-          }
-        }
-      }
-    }
+  // Every frame, each reel's sprite slots are laid out from its current scroll position.
+  _app.ticker.add(() => reels.forEach(layoutReel))
+
+  // Pulses the anticipation highlight on the shared clock, so it stops while the game is paused.
+  let pulseTime = 0
+  loop((deltaMs) => {
+    pulseTime += deltaMs
+    anticipationOverlay.alpha = 0.6 + 0.4 * Math.sin(pulseTime / 120)
   })
 }
@@ -0,0 +1,72 @@
+import * as RNG from '../rng/rng.js'
+
+/**
+ * Asynchronously loads the virtual reel strips.
+ * Each reel is an ordered list of stops, `{ symbol, weight }`, read top to bottom.
+ * A stop's weight is its relative chance of landing on the win line.
+ * @param {string} [url='./data/reelStrips.json'] - Location of the reel strips JSON file.
+ * @returns {Promise<{symbol: string, weight: number}[][]>} One strip per reel.
+ */
+export async function loadReelStrips(url = './data/reelStrips.json') {
+  const response = await fetch(url)
+  if (!response.ok) {
+    // Throws an error for HTTP issues (e.g., 404, 500).
+    throw new Error(`HTTP error! status: ${response.status}`)
+  }
+  const config = await response.json()
+  return config.reels
+}
+
+/**
+ * Draws a stop index from a strip, honouring each stop's weight.
+ * @param {{weight: number}[]} strip - The reel strip to draw from.
+ * @param {function(): number} [random=RNG.random] - Source of uniform numbers in [0, 1).
+ * @returns {number} The index of the stop that lands on the win line.
+ */
+export function pickStopIndex(strip, random = RNG.random) {
+  const totalWeight = strip.reduce((total, stop) => total + stop.weight, 0)
+  let roll = random() * totalWeight
+
+  for (let i = 0; i < strip.length; i++) {
+    roll -= strip[i].weight
+    if (roll < 0) return i
+  }
+  return strip.length - 1 // Guards against floating point drift at the upper bound.
+}
+
+/**
+ * Wraps an index onto a strip of the given length, handling negative values.
+ * @param {number} index - Any integer index.
+ * @param {number} length - The strip length.
+ * @returns {number} An index in the range [0, length).
+ */
+export function wrapStripIndex(index, length) {
+  return ((index % length) + length) % length
+}
+
+/**
+ * Returns the symbols visible around a stop, top to bottom.
+ * The stop itself sits on the middle row, with its real strip neighbours above and below.
+ * @param {{symbol: string}[]} strip - The reel strip.
+ * @param {number} stopIndex - The stop on the win line.
+ * @param {number} [rows=3] - Number of visible rows.
+ * @returns {string[]} The visible symbol IDs for the reel.
+ */
+export function getStripWindow(strip, stopIndex, rows = 3) {
+  const middleRow = Math.floor(rows / 2)
+  const window = []
+  for (let row = 0; row < rows; row++) {
+    window.push(strip[wrapStripIndex(stopIndex + row - middleRow, strip.length)].symbol)
+  }
+  return window
+}
+
+/**
+ * Builds the visible grid that a set of stops produces.
+ * @param {{symbol: string}[][]} strips - One strip per reel.
+ * @param {number[]} stops - The stop index of each reel.
+ * @returns {string[][]} Symbol IDs indexed as `grid[reel][row]`.
+ */
+export function getGridFromStops(strips, stops) {
+  return strips.map((strip, reelIndex) => getStripWindow(strip, stops[reelIndex]))
+}
@@ -2,6 +2,24 @@ import { Assets } from 'pixi.js'
 import * as UIManager from './uiManager.js'
 import * as ReelManager from './reelManager.js'
 import * as Fireworks from '../fireworks/fireworks.js'
+import { toggleStatsOverlay } from '../fireworks/statsOverlay.js'
+import * as WinCelebration from './winCelebration.js'
+import {
+  evaluateSpin,
+  findStopsForSymbol,
+  findLosingStops,
+  isAnticipationSpin
+} from './slotMath.js'
+import { loadPaytable, getSymbolName } from './paytable.js'
+import { loadReelStrips } from './reelStrips.js'
+import { createLocalOutcomeProvider, createMockServerOutcomeProvider } from './outcomeProvider.js'
+import * as RNG from '../rng/rng.js'
+import * as Wallet from './wallet.js'
+import * as DevPanel from './devPanel.js'
+import { after } from '../tween/tween.js'
+import * as Audio from '../audio/audio.js'
+import { downloadFile } from '../utils/download.js'
+import { onLayoutChange } from '../layout/layoutManager.js'
 
 // Symbol images.
 const symbolImagePaths = [
@@ -9,88 +27,468 @@ const symbolImagePaths = [
   'assets/fruits/coconut.png',
   'assets/fruits/kiwi.png',
   'assets/fruits/avocado.png',
-  'assets/fruits/corn.png'
+  'assets/fruits/corn.png',
+  'assets/symbols/scatter.svg', // Scatter: pays free spins from any row.
+  'assets/symbols/wild.svg' // Wild: substitutes for the fruits, see `wild` in the paytable.
 ]
-let slotTextures = [] // Populated with PIXI.Texture objects after asset load.
+// Symbol IDs used by the paytable, derived from the image file names (e.g. 'apple').
+const symbolIds = symbolImagePaths.map((path) => path.replace(/^.*\//, '').replace(/\.\w+$/, ''))
+let symbolTextures = {} // PIXI.Texture objects keyed by symbol ID, populated after asset load.
+let paytable = null // Loaded from data/paytable.json during initialization.
+let reelStrips = [] // Weighted virtual strips, loaded from data/reelStrips.json.
 
-const SPIN_COST = 100
-let balance = 1000 // Player's current balance.
+// Selectable bet levels; payouts and balance checks scale with the selected one.
+const BET_LEVELS = [10, 20, 50, 100, 200, 500]
+let betLevelIndex = BET_LEVELS.indexOf(100) // Starts at the classic 100-credit spin.
+let balance = 0 // Player's current balance, restored from the persisted wallet.
 
 let spinning = false // Controls active spin state to prevent re-triggering.
+let reelsInMotion = false // True while the reels animate; Spin or the spacebar then slam-stops them.
+let spinCount = 0 // Number of spins played this session, used in reproducibility logs.
+
+// Active autoplay session, or null when spins are played manually.
+// Holds the remaining spin count and the optional stop limits.
+let autoplay = null
+const AUTOPLAY_SPIN_DELAY = 1200 // Pause between autoplay spins so each result can be seen (ms).
+
+// Active free spins round, or null outside the bonus feature.
+// Holds the remaining free spins, the payout multiplier and the round's running total.
+let freeSpins = null
+const FREE_SPINS_INTRO_DELAY = 1500 // Pause before a free spins round starts (ms).
+
+// Turbo mode shortens reel spins and the pauses between automatic spins.
+let turbo = false
+const TURBO_SPEED_FACTOR = 0.4 // Fraction of the normal durations used in turbo mode.
+
+// Source of reel stops; replaceable through `setOutcomeProvider`.
+let outcomeProvider = createLocalOutcomeProvider()
+// Stops queued by the developer panel for the next spin, bypassing the outcome provider.
+let forcedStops = null
 
 // Cached PixiJS Application and canvas center references, passed from main entry.
 let _appInstance
 let _canvasCenterInstance
 
 /**
- * Initiates a slot machine spin.
- * Manages game state, balance deduction, UI updates, and reel animation.
- * @param {boolean} forceWin - If true, guarantees a winning combination for testing/demo.
+ * Initiates a paid slot machine spin.
+ * Manages balance deduction and, when scatters award them, plays the free spins round.
+ * @returns {Promise<object|null>} The evaluated spin (see `evaluateSpin`) with the free spins
+ *   round total in `freeSpinsWin`, or null if no spin was played.
  */
-async function startSpin(forceWin = false) {
-  if (spinning) return // Prevent concurrent spins.
+async function startSpin() {
+  if (spinning || freeSpins) return null // Prevent concurrent spins.
 
-  if (balance < SPIN_COST) {
+  const bet = BET_LEVELS[betLevelIndex] // The bet is locked in for the whole spin.
+  if (balance < bet) {
     UIManager.showGameMessage('Saldo insuficiente para girar!')
-    return
+    return null
+  }
+
+  setBalance(balance - bet) // Reflects balance change in the wallet and UI.
+
+  const spinResult = await playSpin(bet)
+  if (!spinResult) {
+    setBalance(balance + bet) // Refunds the spin that could not be played.
+    return null
   }
 
-  balance -= SPIN_COST
-  UIManager.updateBalanceDisplay(balance) // Reflects balance change in UI.
+  let freeSpinsWin = 0
+  if (spinResult.freeSpinsAwarded > 0) {
+    freeSpinsWin = await playFreeSpins(bet, spinResult.freeSpinsAwarded)
+  }
+  return { ...spinResult, freeSpinsWin }
+}
 
+/**
+ * Plays a single spin: fetches the outcome, animates the reels and settles the result.
+ * @param {number} bet - The bet the spin is played (or was triggered) at.
+ * @param {number} [multiplier=1] - Payout multiplier, used during free spins.
+ * @returns {Promise<object|null>} The evaluated spin, or null if no outcome could be obtained.
+ */
+async function playSpin(bet, multiplier = 1) {
   spinning = true // Lock spin state.
-  UIManager.setSpinButtonsEnabled(false) // Disable UI interaction during spin.
+  setControlsEnabled(false) // Disable UI interaction during spin; bets cannot change mid-spin.
   UIManager.hideWinLossMessage() // Clear previous result messages.
+  ReelManager.clearWinningLines() // Remove highlights from the previous spin.
+  // Automatic spins do not wait for the previous win's count-up; the next spin skips it.
+  if (WinCelebration.isCelebrating()) WinCelebration.stopCelebration()
 
-  // Determines the stopping positions for each reel.
-  const results = []
-  if (forceWin) {
-    // Forces all reels to land on the same random symbol for a guaranteed win.
-    const winningSymbolIndex = Math.floor(Math.random() * slotTextures.length)
-    for (let i = 0; i < 3; i++) {
-      results.push(winningSymbolIndex)
-    }
+  // Determines the stop index of each reel on its virtual strip.
+  spinCount++
+  const forced = forcedStops !== null // Developer panel overrides apply to this spin only.
+  let results = []
+  let replay = {} // Seed and state of the generator that drew the stops; none when forced.
+  if (forced) {
+    results = forcedStops
+    forcedStops = null
   } else {
-    // Randomly selects a stopping symbol for each reel.
-    for (let i = 0; i < 3; i++) {
-      results.push(Math.floor(Math.random() * slotTextures.length))
+    // Asks the active outcome provider for a weighted stop on each reel strip.
+    try {
+      const state = RNG.getState() // Captured so this exact spin can be replayed.
+      const outcome = await outcomeProvider.getOutcome({ reelStrips })
+      results = outcome.stops
+      // Server outcomes report their own generator (see outcomeProvider.js).
+      replay = { seed: outcome.seed ?? RNG.getSeed(), state: outcome.state ?? state }
+    } catch (error) {
+      console.error('Error getting spin outcome:', error)
+      UIManager.showGameMessage('Erro ao obter o resultado da jogada!')
+      spinning = false
+      setControlsEnabled(true)
+      return null
     }
   }
 
-  // Awaits completion of all reel animations.
-  await ReelManager.startReelSpin(results, forceWin)
+  // The seed and state also go into the spin history, so exported histories replay the spin.
+  DevPanel.devLog(
+    `Spin #${spinCount} [${forced ? 'forced' : outcomeProvider.name}] ` +
+      `seed=${replay.seed} state=${replay.state} stops=${results.join(',')}`
+  )
+
+  // The outcome is settled up front; the animation only has to reveal it.
+  const spinResult = evaluateSpin(reelStrips, results, paytable, bet, multiplier)
+
+  // Awaits completion of all reel animations. Meanwhile the Spin button turns into a stop button.
+  reelsInMotion = true
+  UIManager.setSpinButtonStopMode(true)
+  await ReelManager.startReelSpin(results, {
+    anticipation: isAnticipationSpin(spinResult.landedGrid, paytable)
+  })
+  reelsInMotion = false
+  UIManager.setSpinButtonStopMode(false)
 
-  // After reels stop, evaluate outcome and reset state.
+  if (spinResult.expandedReels.length > 0) {
+    // Fills the wild reels before the win is shown, matching the evaluated grid.
+    await ReelManager.expandWilds(spinResult.expandedReels, paytable.wild.symbol)
+  }
+  if (DevPanel.isDevMode()) checkLandedGrid(spinResult.grid)
+  const celebration = checkWin(spinResult, bet, replay) // Settle the spin.
+  if (celebration && !autoplay && !freeSpins) {
+    // The win is counted up on stage; the Spin button (or a click on the stage) skips it.
+    // Autoplay and free spins carry on after their usual pause instead.
+    UIManager.setSpinButtonStopMode(true)
+    await celebration
+    UIManager.setSpinButtonStopMode(false)
+  }
   spinning = false // Unlock spin state.
-  checkWin() // Determine if the spin resulted in a win.
-  UIManager.setSpinButtonsEnabled(true) // Re-enable UI interaction.
+  setControlsEnabled(true) // Re-enable UI interaction.
+  return spinResult
 }
 
 /**
- * Evaluates the outcome of a spin by comparing visible symbols on the win line.
- * Triggers win/loss UI feedback and fireworks for wins.
+ * Checks that the reels show the evaluated grid, reporting any mismatch to the console. Only
+ * run with `?dev`: the reels land on their outcome by construction (see reelManager.js).
+ * @param {string[][]} grid - The evaluated grid, indexed as `grid[reel][row]`.
  */
-function checkWin() {
-  // Retrieves the textures currently aligned on the win line from ReelManager.
-  const actualVisibleTextures = ReelManager.getVisibleTexturesAtWinLine()
-
-  // Checks if all visible symbols match (indicating a win).
-  const firstActualTexture = actualVisibleTextures[0]
-  const allMatch = actualVisibleTextures.every(
-    (texture) => texture !== null && texture === firstActualTexture
+function checkLandedGrid(grid) {
+  const visibleGrid = ReelManager.getVisibleSymbolGrid()
+  if (JSON.stringify(visibleGrid) === JSON.stringify(grid)) return
+  console.error(
+    `Spin #${spinCount}: the reels show ${JSON.stringify(visibleGrid)} ` +
+      `(win line ${ReelManager.getVisibleTexturesAtWinLine().join(',')}), ` +
+      `not the evaluated ${JSON.stringify(grid)}.`
   )
+}
+
+// --- Free Spins ---
+
+/**
+ * Plays a free spins round awarded by scatter symbols.
+ * Free spins cost nothing, pay at the triggering bet times the round multiplier, and can be
+ * retriggered. The round uses its own counter and background, and ends with a total-win summary.
+ * @param {number} bet - The bet of the spin that triggered the round.
+ * @param {number} awarded - Number of free spins awarded.
+ * @returns {Promise<number>} Total amount won during the round.
+ */
+async function playFreeSpins(bet, awarded) {
+  freeSpins = { remaining: awarded, multiplier: paytable.freeSpins.multiplier, totalWin: 0 }
+  setControlsEnabled(false)
+
+  // Lets the player see the triggering result before the round starts.
+  await wait(FREE_SPINS_INTRO_DELAY)
+  UIManager.setFreeSpinsMode(true)
+  UIManager.updateFreeSpinsCounter(freeSpins.remaining, freeSpins.multiplier)
+
+  while (freeSpins.remaining > 0) {
+    freeSpins.remaining--
+    UIManager.updateFreeSpinsCounter(freeSpins.remaining, freeSpins.multiplier)
+
+    const spinResult = await playSpin(bet, freeSpins.multiplier)
+    if (!spinResult) break // The outcome could not be obtained; end the round early.
+
+    freeSpins.totalWin += spinResult.totalWin
+    if (spinResult.freeSpinsAwarded > 0) {
+      freeSpins.remaining += spinResult.freeSpinsAwarded // Retrigger.
+      UIManager.updateFreeSpinsCounter(freeSpins.remaining, freeSpins.multiplier)
+    }
+
+    await wait(AUTOPLAY_SPIN_DELAY) // Leaves each result on screen briefly.
+  }
+
+  const { totalWin } = freeSpins
+  freeSpins = null
+  UIManager.setFreeSpinsMode(false)
+  setControlsEnabled(true)
+  UIManager.showGameMessage(`Jogadas grátis terminadas! Ganho total: ${totalWin}`)
+  return totalWin
+}
+
+/**
+ * Waits on the shared animation clock, so pauses stretch while the tab is hidden.
+ * @param {number} ms - Delay in milliseconds, shortened in turbo mode.
+ * @returns {Promise<boolean>} Resolves after the delay.
+ */
+const wait = (ms) => after(turbo ? ms * TURBO_SPEED_FACTOR : ms).done
+
+/**
+ * Handles a press of the Spin button (or the spacebar): starts a spin, slam-stops the reels
+ * while they are still turning, or skips the win celebration.
+ */
+function onSpinPressed() {
+  if (reelsInMotion) {
+    ReelManager.slamStop()
+  } else if (WinCelebration.isCelebrating()) {
+    WinCelebration.stopCelebration()
+  } else {
+    startSpin()
+  }
+}
+
+/**
+ * Switches turbo mode on or off. Applies to the current spin session, autoplay included.
+ * @param {boolean} enabled - True for turbo speed.
+ */
+function setTurbo(enabled) {
+  turbo = enabled
+  ReelManager.setSpinSpeed(turbo ? TURBO_SPEED_FACTOR : 1)
+  UIManager.setTurboActive(turbo)
+}
+
+/**
+ * Updates the player's balance, persisting it in the wallet and refreshing the display.
+ * @param {number} newBalance - The new balance.
+ */
+function setBalance(newBalance) {
+  balance = newBalance
+  Wallet.setBalance(balance)
+  UIManager.updateBalanceDisplay(balance)
+}
+
+/**
+ * Enables or disables the manual controls (spin, bet and autoplay start).
+ * They stay disabled for as long as an autoplay session or free spins round is running.
+ * @param {boolean} enable - Requested state.
+ */
+function setControlsEnabled(enable) {
+  const enabled = enable && !autoplay && !freeSpins
+  UIManager.setSpinButtonsEnabled(enabled)
+  UIManager.setBetControlsEnabled(enabled)
+  UIManager.setAutoplayControlsEnabled(enabled)
+}
+
+// --- Autoplay ---
+
+/**
+ * Checks whether autoplay must stop before playing its next spin.
+ * @returns {string|null} A message explaining why autoplay stops, or null to keep going.
+ */
+function getAutoplayStopReason() {
+  if (balance < BET_LEVELS[betLevelIndex]) return 'Saldo insuficiente para continuar!'
+  if (autoplay.balanceLimit !== null && balance < autoplay.balanceLimit) {
+    return `Saldo abaixo de ${autoplay.balanceLimit}!`
+  }
+  return null
+}
+
+/**
+ * Plays a number of spins automatically, stopping early on a single win above the
+ * configured threshold, when the balance drops below the configured limit, or when
+ * the balance cannot cover the bet.
+ * @param {number} spins - Number of spins to play (e.g. 10, 25, 50 or 100).
+ * @param {{winLimit: number|null, balanceLimit: number|null}} limits - Optional stop conditions.
+ */
+async function startAutoplay(spins, { winLimit, balanceLimit }) {
+  if (spinning || autoplay) return
+
+  autoplay = { remaining: spins, winLimit, balanceLimit, stopRequested: false }
+  setControlsEnabled(false)
+  UIManager.setAutoplayActive(true)
+  UIManager.updateAutoplayCounter(autoplay.remaining)
+
+  let stopReason = null
+  while (autoplay.remaining > 0 && !autoplay.stopRequested) {
+    stopReason = getAutoplayStopReason()
+    if (stopReason) break
+
+    const spinResult = await startSpin()
+    if (!spinResult) break // The spin could not be played; startSpin already informed the player.
+
+    autoplay.remaining--
+    UIManager.updateAutoplayCounter(autoplay.remaining)
+
+    // A free spins round counts towards the single win that triggered it.
+    const spinWin = spinResult.totalWin + spinResult.freeSpinsWin
+    if (autoplay.winLimit !== null && spinWin > autoplay.winLimit) {
+      stopReason = `Ganho acima de ${autoplay.winLimit}!`
+      break
+    }
 
-  if (allMatch) {
-    const winAmount = 500 // Example payout for a winning combination.
-    balance += winAmount
-    UIManager.updateBalanceDisplay(balance) // Update balance with winnings.
-    UIManager.showWinLossMessage(`GANHASTE ${winAmount}!`, true) // Display win message.
+    // Leaves the result on screen briefly before the next spin.
+    await wait(AUTOPLAY_SPIN_DELAY)
+  }
+
+  autoplay = null
+  UIManager.setAutoplayActive(false)
+  setControlsEnabled(true)
+  if (stopReason) {
+    UIManager.showGameMessage(stopReason)
+  }
+}
 
-    // Triggers the celebratory fireworks sequence.
-    Fireworks.triggerFireworksSequence()
+/**
+ * Requests the running autoplay session to stop once the current spin completes.
+ */
+function stopAutoplay() {
+  if (autoplay) {
+    autoplay.stopRequested = true
+  }
+}
+
+/**
+ * Moves the selected bet to another level, clamped to the available levels.
+ * Ignored while the reels are spinning.
+ * @param {number} newLevelIndex - Index into `BET_LEVELS`.
+ */
+function setBetLevel(newLevelIndex) {
+  if (spinning) return // Bets are locked while a spin is in progress.
+
+  betLevelIndex = Math.max(0, Math.min(BET_LEVELS.length - 1, newLevelIndex))
+  UIManager.updateBetDisplay(BET_LEVELS[betLevelIndex])
+}
+
+/**
+ * Settles an evaluated spin: pays out the winning paylines on the 3x3 grid and announces
+ * free spins awarded by scatters.
+ * Payouts come from the paytable and are scaled by the bet.
+ * Triggers win/loss UI feedback and stingers, payline highlights and, for wins (including those
+ * of a spin awarding free spins), the celebration of the win's tier (see `winCelebration.js`).
+ * Every settled spin is recorded in the wallet's history.
+ * @param {{stops: number[], grid: string[][], winningLines: object[], totalWin: number,
+ *   freeSpinsAwarded: number}} spinResult - Result from `evaluateSpin`.
+ * @param {number} bet - The amount wagered on the spin.
+ * @returns {Promise<boolean>|null} The win celebration, resolving once its count-up is over, or
+ *   null when there is nothing to celebrate.
+ */
+function checkWin({ stops, grid, winningLines, totalWin, freeSpinsAwarded }, bet, replay) {
+  let celebration = null
+  if (freeSpinsAwarded > 0) {
+    // Scatters awarded (or, during a round, retriggered) free spins; any line wins still pay.
+    const retrigger = freeSpins !== null
+    UIManager.showWinLossMessage(
+      retrigger ? `+${freeSpinsAwarded} GRÁTIS!` : `${freeSpinsAwarded} GRÁTIS!`,
+      true,
+      totalWin > 0 ? [`Ganho da jogada: +${totalWin}`] : []
+    )
+    if (totalWin > 0) {
+      setBalance(balance + totalWin)
+      Audio.playWin()
+      celebration = WinCelebration.celebrateWin(totalWin, bet)
+    }
+    ReelManager.showWinningLines(winningLines)
+  } else if (totalWin > 0) {
+    setBalance(balance + totalWin) // Update balance with winnings.
+
+    // Describes each paying combination, e.g. "Linha 1: 3x Milho +2500".
+    const winDetails = winningLines.map(
+      (line) =>
+        `Linha ${line.payline.id}: ${line.count}x ${getSymbolName(paytable, line.symbol)} +${
+          line.payout
+        }`
+    )
+    UIManager.showWinLossMessage(`GANHASTE ${totalWin}!`, true, winDetails) // Display win message.
+    Audio.playWin()
+    ReelManager.showWinningLines(winningLines) // Highlight every winning line on stage.
+
+    // Celebrates the win according to its size, replacing any show still running.
+    celebration = WinCelebration.celebrateWin(totalWin, bet)
   } else {
     UIManager.showWinLossMessage('AZAR!', false) // Display loss message.
+    Audio.playLose()
+  }
+
+  // Records the settled spin in the persisted history.
+  Wallet.recordSpin({
+    bet,
+    stops,
+    grid,
+    winningLines,
+    payout: totalWin,
+    freeSpin: freeSpins !== null,
+    ...replay
+  })
+  UIManager.renderHistory(Wallet.getHistory())
+  return celebration
+}
+
+/**
+ * Resets the wallet to its starting balance and clears the spin history, after confirmation.
+ * Ignored while a spin or autoplay session is in progress.
+ */
+function resetWallet() {
+  if (spinning || autoplay || freeSpins) return
+  if (!window.confirm('Repor a carteira? O saldo e o histórico serão apagados.')) return
+
+  balance = Wallet.resetWallet()
+  UIManager.updateBalanceDisplay(balance)
+  UIManager.renderHistory(Wallet.getHistory())
+}
+
+/**
+ * Refuses developer panel actions while a spin, an autoplay session or a free spins round is
+ * running, saying so on the panel.
+ * @returns {boolean} True when the action must be refused.
+ */
+function isBusyForDevPanel() {
+  const busy = spinning || autoplay !== null || freeSpins !== null
+  DevPanel.showDevMessage(busy ? 'Wait for the spin, autoplay or free spins to end.' : '')
+  return busy
+}
+
+/**
+ * Queues reel stops for the next spin and plays it. Used by the developer panel.
+ * The stops come from the reel strips, so the reels land on them naturally.
+ * @param {function(): (number[]|null)} findStops - Finds one stop index per reel, or null when
+ *   the strips cannot give the outcome.
+ * @param {string} [failure] - Shown on the panel when no stops are found.
+ */
+function playForcedSpin(findStops, failure = 'No reel stops give this outcome.') {
+  if (isBusyForDevPanel()) return
+  const stops = findStops()
+  if (!stops) {
+    DevPanel.showDevMessage(failure)
+    return
   }
+  forcedStops = stops
+  startSpin()
+}
+
+/**
+ * Plays a spin again from the generator state recorded with it in the spin history, at the
+ * current bet. Used by the developer panel; ignored while the game is busy. Spins drawn by the
+ * mock server replay with `?outcomes=mock-server&state=` instead.
+ * @param {number} state - The recorded state.
+ */
+function replaySpin(state) {
+  if (isBusyForDevPanel()) return
+  RNG.setState(state)
+  startSpin()
+}
+
+/**
+ * Replaces the source of spin outcomes (e.g. with a server-backed provider).
+ * @param {import('./outcomeProvider.js').OutcomeProvider} provider - The provider to use for subsequent spins.
+ */
+export function setOutcomeProvider(provider) {
+  outcomeProvider = provider
 }
 
 /**
@@ -102,23 +500,112 @@ function checkWin() {
 export async function initSlotGame(app, canvasCenter) {
   _appInstance = app // Store reference to PixiJS app.
   _canvasCenterInstance = canvasCenter // Store reference to canvas center.
+  balance = Wallet.loadWallet() // Restores the persisted balance and spin history.
+
+  // `?outcomes=mock-server` routes spins through the local mock game server.
+  // `?state=` starts the spins' generator from a state recorded in the spin history, so the
+  // first spin replays the recorded one.
+  const params = new URLSearchParams(window.location.search)
+  const replayState = params.has('state') ? Number(params.get('state')) : NaN
+  const state = Number.isInteger(replayState) ? replayState : undefined
+  if (params.get('outcomes') === 'mock-server') {
+    setOutcomeProvider(
+      createMockServerOutcomeProvider({ seed: params.get('serverSeed') ?? Date.now(), state })
+    )
+  } else if (state !== undefined) {
+    RNG.setState(state)
+  }
 
   // Loads all symbol textures required for the reels.
   const loadedAssets = await Assets.load(symbolImagePaths)
-  slotTextures = symbolImagePaths.map((path) => loadedAssets[path])
+  symbolImagePaths.forEach((path, index) => {
+    symbolTextures[symbolIds[index]] = loadedAssets[path]
+  })
 
-  // Initializes the UI manager with callbacks for spin actions.
-  UIManager.initUIManager(
-    () => startSpin(false), // Callback for a regular spin.
-    () => startSpin(true) // Callback for a forced win spin.
+  // Initializes the UI manager with the callbacks for spin and slam-stop actions.
+  UIManager.initUIManager(onSpinPressed)
+  UIManager.initTurboControl(() => setTurbo(!turbo))
+  // Restores the persisted sound settings; audio unlocks on the player's first gesture.
+  const audioSettings = Audio.initAudio()
+  UIManager.initAudioControls(
+    audioSettings,
+    () => {
+      const muted = !Audio.getSettings().muted
+      Audio.setMuted(muted)
+      UIManager.setAudioMuted(muted)
+    },
+    (volume) => Audio.setVolume(volume)
+  )
+  UIManager.initBetControls(
+    () => setBetLevel(betLevelIndex - 1), // Bet down.
+    () => setBetLevel(betLevelIndex + 1), // Bet up.
+    () => setBetLevel(BET_LEVELS.length - 1) // Max bet shortcut.
   )
+  UIManager.initAutoplayControls(startAutoplay, stopAutoplay)
+  UIManager.initHistoryPanel(
+    resetWallet,
+    () => downloadFile('historico.json', Wallet.exportHistoryAsJson(), 'application/json'),
+    () => downloadFile('historico.csv', Wallet.exportHistoryAsCsv(), 'text/csv')
+  )
+
+  // Loads the paytable (payout multipliers) and the weighted reel strips.
+  try {
+    const [loadedPaytable, loadedReelStrips] = await Promise.all([loadPaytable(), loadReelStrips()])
+    paytable = loadedPaytable
+    reelStrips = loadedReelStrips
 
-  // Initializes the reel management system with PixiJS app and loaded textures.
-  ReelManager.initReelManager(_appInstance, slotTextures)
+    // Every strip symbol needs a texture to be rendered.
+    reelStrips.forEach((strip) =>
+      strip.forEach((stop) => {
+        if (!symbolTextures[stop.symbol]) {
+          throw new Error(`Unknown symbol '${stop.symbol}' in reel strips.`)
+        }
+      })
+    )
+  } catch (error) {
+    console.error('Error loading slot configuration:', error)
+    UIManager.showGameMessage('Erro ao carregar a configuração do jogo!')
+    UIManager.setSpinButtonsEnabled(false) // The game cannot run without its configuration.
+    return
+  }
+
+  // Initializes the reel management system with PixiJS app, loaded textures and strip symbols.
+  ReelManager.initReelManager(
+    _appInstance,
+    symbolTextures,
+    reelStrips.map((strip) => strip.map((stop) => stop.symbol))
+  )
 
   // Initializes the fireworks module, ensuring its assets are loaded and ready.
   await Fireworks.initFireworks(_appInstance, _canvasCenterInstance)
+  onLayoutChange(Fireworks.fitShowsToCanvas) // Keeps landscape shows on the portrait canvas.
+  WinCelebration.initWinCelebration(_appInstance)
+
+  // The developer panel only shows behind `?dev` or its keyboard shortcut.
+  DevPanel.initDevPanel({
+    reelStrips,
+    symbols: symbolIds,
+    forceStops: (stops) => playForcedSpin(() => stops),
+    forceWin: (symbol) =>
+      playForcedSpin(
+        () => findStopsForSymbol(reelStrips, symbol),
+        `A reel strip has no ${symbol} to line up.`
+      ),
+    forceLoss: () =>
+      playForcedSpin(
+        () => findLosingStops(reelStrips, paytable, BET_LEVELS[betLevelIndex]),
+        'No losing stops found; try again.'
+      ),
+    setBalance: (value) => {
+      if (!isBusyForDevPanel()) setBalance(value)
+    },
+    replaySpin,
+    triggerFireworks: () => Fireworks.triggerFireworksSequence(),
+    toggleStats: () => toggleStatsOverlay()
+  })
 
-  // Sets initial display value for player balance.
+  // Sets initial display values for balance, bet and history.
   UIManager.updateBalanceDisplay(balance)
+  UIManager.renderHistory(Wallet.getHistory())
+  UIManager.updateBetDisplay(BET_LEVELS[betLevelIndex])
 }
@@ -0,0 +1,173 @@
+import * as RNG from '../rng/rng.js'
+import {
+  PAYLINES,
+  countMatchesFromLeft,
+  evaluatePaylines,
+  getSymbolsOnPayline
+} from './paylines.js'
+import { getPayoutMultiplier } from './paytable.js'
+import { getGridFromStops, pickStopIndex } from './reelStrips.js'
+
+// Pure slot math shared by the game and the headless RTP simulator.
+// Nothing in this module touches PixiJS or the DOM.
+
+/**
+ * Draws a weighted stop on every reel strip.
+ * @param {{symbol: string, weight: number}[][]} reelStrips - One strip per reel.
+ * @param {function(): number} [random=RNG.random] - Source of uniform numbers in [0, 1).
+ * @returns {number[]} One stop index per reel.
+ */
+export function drawStops(reelStrips, random = RNG.random) {
+  return reelStrips.map((strip) => pickStopIndex(strip, random))
+}
+
+/**
+ * Counts the scatter symbols visible anywhere on the grid, whatever their row.
+ * @param {string[][]} grid - Visible symbol IDs indexed as `grid[reel][row]`.
+ * @param {string} scatterSymbol - The scatter symbol ID.
+ * @returns {number} Number of visible scatters.
+ */
+export function countScatters(grid, scatterSymbol) {
+  return grid.reduce(
+    (total, column) => total + column.filter((symbol) => symbol === scatterSymbol).length,
+    0
+  )
+}
+
+/**
+ * Applies expanding wilds: every reel showing the wild symbol is filled with wilds.
+ * @param {string[][]} grid - Visible symbol IDs indexed as `grid[reel][row]`.
+ * @param {string} wildSymbol - The wild symbol ID.
+ * @returns {{grid: string[][], expandedReels: number[]}} A new grid with the expanded columns,
+ *   and the indices of the reels that expanded.
+ */
+export function expandWilds(grid, wildSymbol) {
+  const expandedReels = []
+  const expandedGrid = grid.map((column, reelIndex) => {
+    if (!column.includes(wildSymbol)) return column
+    expandedReels.push(reelIndex)
+    return column.map(() => wildSymbol)
+  })
+  return { grid: expandedGrid, expandedReels }
+}
+
+/**
+ * Evaluates the outcome produced by a set of reel stops.
+ * Free spins are awarded when the paytable's `freeSpins.symbol` appears at least
+ * `freeSpins.triggerCount` times anywhere on the landed grid. When the paytable's `wild` is
+ * expanding, paylines are evaluated after wild reels have been filled with wilds.
+ * @param {{symbol: string, weight: number}[][]} reelStrips - One strip per reel.
+ * @param {number[]} stops - The stop index of each reel.
+ * @param {object} paytable - The loaded paytable.
+ * @param {number} bet - The bet amount payouts are scaled by.
+ * @param {number} [multiplier=1] - Payout multiplier (e.g. during free spins).
+ * @returns {{stops: number[], landedGrid: string[][], grid: string[][], expandedReels: number[],
+ *   winningLines: object[], totalWin: number, scatterCount: number, freeSpinsAwarded: number}}
+ *   The landed and evaluated grids, every winning line, the total payout and any free spins won.
+ */
+export function evaluateSpin(reelStrips, stops, paytable, bet, multiplier = 1) {
+  const landedGrid = getGridFromStops(reelStrips, stops)
+  const { wild } = paytable
+  const { grid, expandedReels } =
+    wild && wild.expanding
+      ? expandWilds(landedGrid, wild.symbol)
+      : { grid: landedGrid, expandedReels: [] }
+
+  const winningLines = evaluatePaylines(grid, paytable, bet).map((line) => ({
+    ...line,
+    payout: line.payout * multiplier
+  }))
+  const totalWin = winningLines.reduce((total, line) => total + line.payout, 0)
+
+  // Scatters are counted as they landed, before any wild covers them.
+  const { freeSpins } = paytable
+  const scatterCount = freeSpins ? countScatters(landedGrid, freeSpins.symbol) : 0
+  const freeSpinsAwarded =
+    freeSpins && scatterCount >= freeSpins.triggerCount ? freeSpins.awarded : 0
+
+  return {
+    stops,
+    landedGrid,
+    grid,
+    expandedReels,
+    winningLines,
+    totalWin,
+    scatterCount,
+    freeSpinsAwarded
+  }
+}
+
+/**
+ * Decides whether the last reel deserves an anticipation stop: the first two reels already match
+ * on some payline (wilds substituting) and the full line would pay at least
+ * `anticipation.minMultiplier` times the bet, or they show all but one of the scatters that
+ * trigger free spins. Small near-misses are common, so they keep the normal pace.
+ * @param {string[][]} grid - Landed symbol IDs indexed as `grid[reel][row]`.
+ * @param {object} paytable - The loaded paytable.
+ * @returns {boolean} True if the last reel can still complete a big win or the free spins.
+ */
+export function isAnticipationSpin(grid, paytable) {
+  const { freeSpins, wild, anticipation } = paytable
+  const minMultiplier = anticipation ? anticipation.minMultiplier : 0
+  const leadingGrid = grid.slice(0, 2)
+  if (freeSpins && countScatters(leadingGrid, freeSpins.symbol) >= freeSpins.triggerCount - 1) {
+    return true
+  }
+
+  const wildSymbol = wild ? wild.symbol : null
+  const excluded = (wild && wild.excludes) || []
+  return PAYLINES.some((payline) => {
+    const symbols = getSymbolsOnPayline(grid, payline).slice(0, 2)
+    // A pair of wilds alone can still complete as the wild itself.
+    const lineSymbol = symbols.find((symbol) => symbol !== wildSymbol) ?? wildSymbol
+    const fullLineMultiplier = getPayoutMultiplier(paytable, lineSymbol, grid.length)
+    if (fullLineMultiplier === 0 || fullLineMultiplier < minMultiplier) return false
+
+    const substitute = excluded.includes(lineSymbol) ? null : wildSymbol
+    return countMatchesFromLeft(symbols, lineSymbol, substitute) === symbols.length
+  })
+}
+
+/**
+ * Finds stops that land the same symbol on the win line of every reel.
+ * Stops are taken from the strips themselves, so the reels still show real neighbours.
+ * @param {{symbol: string}[][]} reelStrips - One strip per reel.
+ * @param {string} symbol - The symbol to line up.
+ * @param {function(): number} [random=RNG.random] - Source of uniform numbers in [0, 1).
+ * @returns {number[]|null} One stop index per reel, or null if a strip lacks the symbol.
+ */
+export function findStopsForSymbol(reelStrips, symbol, random = RNG.random) {
+  const stops = []
+  for (const strip of reelStrips) {
+    const candidateStops = []
+    strip.forEach((stop, stopIndex) => {
+      if (stop.symbol === symbol) candidateStops.push(stopIndex)
+    })
+    if (candidateStops.length === 0) return null
+    stops.push(candidateStops[Math.floor(random() * candidateStops.length)])
+  }
+  return stops
+}
+
+/**
+ * Finds stops that produce no win at all.
+ * @param {{symbol: string, weight: number}[][]} reelStrips - One strip per reel.
+ * @param {object} paytable - The loaded paytable.
+ * @param {number} bet - The bet amount used for evaluation.
+ * @param {function(): number} [random=RNG.random] - Source of uniform numbers in [0, 1).
+ * @param {number} [maxAttempts=1000] - How many random draws to try before giving up.
+ * @returns {number[]|null} One stop index per reel, or null if no losing outcome was found.
+ */
+export function findLosingStops(
+  reelStrips,
+  paytable,
+  bet,
+  random = RNG.random,
+  maxAttempts = 1000
+) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const stops = drawStops(reelStrips, random)
+    if (evaluateSpin(reelStrips, stops, paytable, bet).totalWin === 0) return stops
+  }
+  return null
+}
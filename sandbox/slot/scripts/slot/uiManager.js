@@ -1,13 +1,31 @@
 // Cached references to core DOM elements.
 // These are initialized once during `initUIManager`.
 let spinButton
-let autoWinButton
 let winMessageDisplay
 let winMessageText
+let winDetailsText
 let balanceDisplay
 let messageBox
 let messageText
 let messageOkButton
+let betDownButton
+let betUpButton
+let maxBetButton
+let betDisplay
+let autoplayOptionButtons = []
+let autoplayWinLimitInput
+let autoplayBalanceLimitInput
+let autoplayStatus
+let autoplayCounter
+let autoplayStopButton
+let historyPanel
+let historyList
+let historyToggleButton
+let freeSpinsBanner
+let freeSpinsCounter
+let turboButton
+let muteButton
+let volumeSlider
 
 /**
  * Updates the displayed player balance.
@@ -19,6 +37,16 @@ export function updateBalanceDisplay(newBalance) {
   }
 }
 
+/**
+ * Updates the displayed current bet.
+ * @param {number} bet - The bet value to render.
+ */
+export function updateBetDisplay(bet) {
+  if (betDisplay) {
+    betDisplay.textContent = bet
+  }
+}
+
 /**
  * Displays a modal game message to the user.
  * @param {string} message - Text content for the message box.
@@ -43,9 +71,13 @@ export function hideGameMessage() {
  * Displays and styles a win/loss outcome message with a fade-out.
  * @param {string} message - The text message indicating outcome.
  * @param {boolean} isWin - True for win styling, false for loss.
+ * @param {string[]} [details=[]] - Optional breakdown lines (e.g. which combinations paid).
  */
-export function showWinLossMessage(message, isWin) {
+export function showWinLossMessage(message, isWin, details = []) {
   winMessageText.textContent = message
+  if (winDetailsText) {
+    winDetailsText.textContent = details.join('\n')
+  }
 
   // Resets previous background styles.
   winMessageDisplay.classList.remove('win-bg', 'lose-bg')
@@ -67,12 +99,42 @@ export function showWinLossMessage(message, isWin) {
 }
 
 /**
- * Toggles the enabled state of the primary spin buttons.
- * @param {boolean} enable - If true, buttons are enabled; otherwise, disabled.
+ * Toggles the enabled state of the primary spin button.
+ * @param {boolean} enable - If true, the button is enabled; otherwise, disabled.
  */
 export function setSpinButtonsEnabled(enable) {
   if (spinButton) spinButton.disabled = !enable
-  if (autoWinButton) autoWinButton.disabled = !enable
+}
+
+/**
+ * Turns the spin button into a stop button (enabled, so the spinning reels can be slam-stopped)
+ * or back into a spin button, which stays disabled until the controls are re-enabled.
+ * @param {boolean} active - True while the reels are spinning.
+ */
+export function setSpinButtonStopMode(active) {
+  if (!spinButton) return
+  spinButton.textContent = active ? 'Stop' : 'Spin'
+  spinButton.disabled = !active
+}
+
+/**
+ * Reflects the turbo setting on its toggle button.
+ * @param {boolean} active - True when turbo mode is on.
+ */
+export function setTurboActive(active) {
+  if (turboButton) {
+    turboButton.setAttribute('aria-pressed', String(active))
+  }
+}
+
+/**
+ * Toggles the enabled state of the bet controls (bet down, bet up and max bet).
+ * @param {boolean} enable - If true, controls are enabled; otherwise, disabled.
+ */
+export function setBetControlsEnabled(enable) {
+  if (betDownButton) betDownButton.disabled = !enable
+  if (betUpButton) betUpButton.disabled = !enable
+  if (maxBetButton) maxBetButton.disabled = !enable
 }
 
 /**
@@ -85,21 +147,46 @@ export function hideWinLossMessage() {
   }
 }
 
+/**
+ * Switches the free spins presentation on or off: the counter banner and the distinct
+ * background treatment applied to the page while the round lasts.
+ * @param {boolean} active - True while a free spins round is running.
+ */
+export function setFreeSpinsMode(active) {
+  document.body.classList.toggle('free-spins-mode', active)
+  if (freeSpinsBanner) {
+    freeSpinsBanner.classList.toggle('hidden', !active)
+  }
+}
+
+/**
+ * Updates the free spins counter banner.
+ * @param {number} remaining - Free spins left in the round.
+ * @param {number} multiplier - Payout multiplier applied during the round.
+ */
+export function updateFreeSpinsCounter(remaining, multiplier) {
+  if (freeSpinsCounter) {
+    freeSpinsCounter.textContent = `${remaining}  (x${multiplier})`
+  }
+}
+
 /**
  * Initializes the UI manager by caching DOM element references and attaching event listeners.
- * @param {function(): void} onSpinClick - Callback invoked on regular spin button click.
- * @param {function(): void} onAutoWinClick - Callback invoked on forced win button click.
+ * The spacebar acts as the spin button whenever the button itself is enabled.
+ * @param {function(): void} onSpinClick - Callback invoked on spin button click (spin or stop).
  */
-export function initUIManager(onSpinClick, onAutoWinClick) {
+export function initUIManager(onSpinClick) {
   // Cache DOM element references by ID.
   spinButton = document.getElementById('spinButton')
-  autoWinButton = document.getElementById('autoWin')
   winMessageDisplay = document.getElementById('result')
   winMessageText = document.getElementById('resultMessage')
+  winDetailsText = document.getElementById('resultDetails')
   balanceDisplay = document.getElementById('balance')
   messageBox = document.getElementById('message-box')
   messageText = document.getElementById('message-text')
   messageOkButton = document.getElementById('message-ok-button')
+  freeSpinsBanner = document.getElementById('freeSpinsBanner')
+  freeSpinsCounter = document.getElementById('freeSpinsCounter')
 
   // Attach event listener for the modal message's OK button.
   if (messageOkButton) {
@@ -110,18 +197,237 @@ export function initUIManager(onSpinClick, onAutoWinClick) {
   if (spinButton) {
     spinButton.addEventListener('click', onSpinClick)
     setSpinButtonsEnabled(true) // Initial state set to enabled.
+
+    document.addEventListener('keydown', (event) => {
+      // Focused buttons and form fields already react to the spacebar themselves.
+      const tag = event.target.tagName
+      if (event.code !== 'Space' || event.repeat || /^(BUTTON|INPUT|SELECT|TEXTAREA)$/.test(tag)) {
+        return
+      }
+      event.preventDefault() // Keeps the page from scrolling.
+      if (!spinButton.disabled) onSpinClick()
+    })
   } else {
     console.error(
       "Spin button with ID 'spinButton' not found in HTML. Slot game cannot be started."
     )
   }
+}
 
-  // Configure auto-win (debug/demo) button.
-  if (autoWinButton) {
-    autoWinButton.addEventListener('click', onAutoWinClick)
-    setSpinButtonsEnabled(true) // Initial state set to enabled.
+/**
+ * Initializes the bet controls by caching their DOM elements and attaching event listeners.
+ * @param {function(): void} onBetDownClick - Callback invoked to lower the bet one level.
+ * @param {function(): void} onBetUpClick - Callback invoked to raise the bet one level.
+ * @param {function(): void} onMaxBetClick - Callback invoked to jump to the maximum bet.
+ */
+export function initBetControls(onBetDownClick, onBetUpClick, onMaxBetClick) {
+  betDownButton = document.getElementById('betDown')
+  betUpButton = document.getElementById('betUp')
+  maxBetButton = document.getElementById('maxBet')
+  betDisplay = document.getElementById('currentBet')
+
+  if (betDownButton && betUpButton && maxBetButton) {
+    betDownButton.addEventListener('click', onBetDownClick)
+    betUpButton.addEventListener('click', onBetUpClick)
+    maxBetButton.addEventListener('click', onMaxBetClick)
+    setBetControlsEnabled(true) // Initial state set to enabled.
   } else {
-    // This button is optional for core game functionality, hence a softer error.
-    console.error("'autoWin' button not found in HTML. Auto-win feature will be unavailable.")
+    console.error('Bet controls not found in HTML. The bet will stay at its default level.')
+  }
+}
+
+/**
+ * Initializes the turbo toggle by caching its DOM element and attaching its event listener.
+ * @param {function(): void} onTurboClick - Callback invoked to toggle turbo mode.
+ */
+export function initTurboControl(onTurboClick) {
+  turboButton = document.getElementById('turboToggle')
+  if (!turboButton) {
+    console.error('Turbo toggle not found in HTML. Spins will run at normal speed.')
+    return
+  }
+  turboButton.addEventListener('click', onTurboClick)
+  setTurboActive(false)
+}
+
+/**
+ * Reflects the mute setting on its toggle button.
+ * @param {boolean} muted - True when the game is muted.
+ */
+export function setAudioMuted(muted) {
+  if (muteButton) {
+    muteButton.setAttribute('aria-pressed', String(muted))
+    muteButton.textContent = muted ? '🔇' : '🔊'
   }
 }
+
+/**
+ * Initializes the sound controls (mute toggle and volume slider) with the restored settings.
+ * @param {{volume: number, muted: boolean}} settings - Settings to display initially.
+ * @param {function(): void} onMuteClick - Callback invoked to toggle mute.
+ * @param {function(number): void} onVolumeChange - Callback invoked with the new volume (0 to 1).
+ */
+export function initAudioControls(settings, onMuteClick, onVolumeChange) {
+  muteButton = document.getElementById('muteToggle')
+  volumeSlider = document.getElementById('volumeSlider')
+  if (!muteButton || !volumeSlider) {
+    console.error('Sound controls not found in HTML. Sound settings cannot be changed.')
+    return
+  }
+
+  muteButton.addEventListener('click', onMuteClick)
+  // The slider works in percent.
+  volumeSlider.addEventListener('input', () => onVolumeChange(volumeSlider.valueAsNumber / 100))
+
+  volumeSlider.value = String(Math.round(settings.volume * 100))
+  setAudioMuted(settings.muted)
+}
+
+/**
+ * Toggles the enabled state of the autoplay start options and their limit inputs.
+ * @param {boolean} enable - If true, controls are enabled; otherwise, disabled.
+ */
+export function setAutoplayControlsEnabled(enable) {
+  autoplayOptionButtons.forEach((button) => {
+    button.disabled = !enable
+  })
+  if (autoplayWinLimitInput) autoplayWinLimitInput.disabled = !enable
+  if (autoplayBalanceLimitInput) autoplayBalanceLimitInput.disabled = !enable
+}
+
+/**
+ * Shows or hides the autoplay status (remaining spins counter and stop button).
+ * @param {boolean} active - True while an autoplay session is running.
+ */
+export function setAutoplayActive(active) {
+  if (autoplayStatus) {
+    autoplayStatus.classList.toggle('hidden', !active)
+  }
+  if (autoplayStopButton) {
+    autoplayStopButton.disabled = !active
+  }
+}
+
+/**
+ * Updates the displayed number of remaining autoplay spins.
+ * @param {number} remaining - Spins left in the current session.
+ */
+export function updateAutoplayCounter(remaining) {
+  if (autoplayCounter) {
+    autoplayCounter.textContent = remaining
+  }
+}
+
+/**
+ * Reads an optional, non-negative numeric limit from an input.
+ * @param {HTMLInputElement} input - The limit input.
+ * @returns {number|null} The limit, or null when left empty or invalid.
+ */
+const readLimit = (input) => {
+  if (!input || input.value.trim() === '') return null
+  const value = parseFloat(input.value)
+  return Number.isFinite(value) && value >= 0 ? value : null
+}
+
+/**
+ * Initializes the autoplay controls by caching their DOM elements and attaching event listeners.
+ * Each option button carries its spin count in a `data-autoplay-spins` attribute.
+ * @param {function(number, {winLimit: number|null, balanceLimit: number|null}): void} onStartAutoplay
+ *   Callback invoked with the chosen number of spins and the stop limits.
+ * @param {function(): void} onStopAutoplay - Callback invoked by the stop button.
+ */
+export function initAutoplayControls(onStartAutoplay, onStopAutoplay) {
+  autoplayOptionButtons = Array.from(document.querySelectorAll('[data-autoplay-spins]'))
+  autoplayWinLimitInput = document.getElementById('autoplayWinLimit')
+  autoplayBalanceLimitInput = document.getElementById('autoplayBalanceLimit')
+  autoplayStatus = document.getElementById('autoplayStatus')
+  autoplayCounter = document.getElementById('autoplayCounter')
+  autoplayStopButton = document.getElementById('autoplayStop')
+
+  if (autoplayOptionButtons.length === 0 || !autoplayStopButton) {
+    console.error('Autoplay controls not found in HTML. Autoplay will be unavailable.')
+    return
+  }
+
+  autoplayOptionButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+      onStartAutoplay(parseInt(button.dataset.autoplaySpins, 10), {
+        winLimit: readLimit(autoplayWinLimitInput),
+        balanceLimit: readLimit(autoplayBalanceLimitInput)
+      })
+    })
+  })
+  autoplayStopButton.addEventListener('click', onStopAutoplay)
+
+  setAutoplayControlsEnabled(true) // Initial state set to enabled.
+  setAutoplayActive(false)
+}
+
+// --- Spin History Panel ---
+
+const MAX_RENDERED_HISTORY = 50 // Only the most recent spins are listed.
+
+/**
+ * Renders the most recent spins in the history panel, newest first.
+ * @param {{timestamp: string, bet: number, grid: string[][], winningLines: object[], payout: number}[]} history
+ *   Recorded spins, oldest first.
+ */
+export function renderHistory(history) {
+  if (!historyList) return
+
+  historyList.replaceChildren()
+  if (history.length === 0) {
+    const emptyItem = document.createElement('li')
+    emptyItem.className = 'history-empty'
+    emptyItem.textContent = 'Sem jogadas.'
+    historyList.appendChild(emptyItem)
+    return
+  }
+
+  history
+    .slice(-MAX_RENDERED_HISTORY)
+    .reverse()
+    .forEach((entry) => {
+      const item = document.createElement('li')
+      item.className = entry.payout > 0 ? 'history-entry history-win' : 'history-entry'
+
+      const time = new Date(entry.timestamp).toLocaleTimeString()
+      const lines = entry.winningLines.map((line) => `L${line.payline}`).join(' ')
+      const stake = entry.freeSpin ? 'Grátis' : `Aposta ${entry.bet}`
+      item.textContent = `${time}  ${stake}  ${
+        entry.payout > 0 ? `+${entry.payout} ${lines}` : '-'
+      }`
+      // The full reel result is available on hover, top to bottom per reel.
+      item.title = entry.grid.map((column) => column.join(' / ')).join('  |  ')
+      historyList.appendChild(item)
+    })
+}
+
+/**
+ * Initializes the spin history panel by caching its DOM elements and attaching event listeners.
+ * @param {function(): void} onResetWallet - Callback invoked by the "reset wallet" action.
+ * @param {function(): void} onExportJson - Callback invoked to export the history as JSON.
+ * @param {function(): void} onExportCsv - Callback invoked to export the history as CSV.
+ */
+export function initHistoryPanel(onResetWallet, onExportJson, onExportCsv) {
+  historyPanel = document.getElementById('historyPanel')
+  historyList = document.getElementById('historyList')
+  historyToggleButton = document.getElementById('historyToggle')
+  const resetButton = document.getElementById('resetWallet')
+  const exportJsonButton = document.getElementById('exportHistoryJson')
+  const exportCsvButton = document.getElementById('exportHistoryCsv')
+
+  if (!historyPanel || !historyList || !historyToggleButton) {
+    console.error('History panel not found in HTML. Spin history will not be displayed.')
+    return
+  }
+
+  // Collapses or expands the panel body.
+  historyToggleButton.addEventListener('click', () => {
+    historyPanel.classList.toggle('collapsed')
+  })
+
+  if (resetButton) resetButton.addEventListener('click', onResetWallet)
+  if (exportJsonButton) exportJsonButton.addEventListener('click', onExportJson)
+  if (exportCsvButton) exportCsvButton.addEventListener('click', onExportCsv)
+}
@@ -0,0 +1,171 @@
+// --- Player Wallet ---
+// Persists the player's balance and spin history in localStorage so they survive page reloads.
+
+const STORAGE_KEY = 'pirateSlot.wallet'
+const DEFAULT_BALANCE = 1000 // Balance granted to a new (or reset) wallet.
+const MAX_HISTORY_ENTRIES = 500 // Oldest entries are dropped beyond this limit.
+
+// In-memory copy of the persisted wallet.
+let _wallet = { balance: DEFAULT_BALANCE, history: [] }
+
+/**
+ * Writes the wallet to localStorage.
+ * Storage failures (private mode, quota) are logged but never interrupt the game.
+ */
+const saveWallet = () => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(_wallet))
+  } catch (error) {
+    console.error('Error saving wallet:', error)
+  }
+}
+
+/**
+ * Loads the persisted wallet, falling back to a fresh one if nothing valid is stored.
+ * Must be called once before reading the balance or history.
+ * @returns {number} The restored balance.
+ */
+export function loadWallet() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (stored && Number.isFinite(stored.balance) && Array.isArray(stored.history)) {
+      _wallet = stored
+    }
+  } catch (error) {
+    console.error('Error loading wallet, starting a new one:', error)
+  }
+  return _wallet.balance
+}
+
+/**
+ * @returns {number} The player's current balance.
+ */
+export function getBalance() {
+  return _wallet.balance
+}
+
+/**
+ * Stores a new balance.
+ * @param {number} balance - The balance to persist.
+ */
+export function setBalance(balance) {
+  _wallet.balance = balance
+  saveWallet()
+}
+
+/**
+ * Appends a settled spin to the history.
+ * @param {object} spin - The spin to record.
+ * @param {number} spin.bet - Amount wagered.
+ * @param {number[]} spin.stops - Stop index of each reel.
+ * @param {string[][]} spin.grid - Visible symbol IDs indexed as `grid[reel][row]`.
+ * @param {object[]} spin.winningLines - Winning lines from the payline evaluator.
+ * @param {number} spin.payout - Total amount won.
+ * @param {boolean} [spin.freeSpin=false] - True for spins played in a free spins round (no bet taken).
+ * @param {number} [spin.seed] - Seed of the generator that drew the stops.
+ * @param {number} [spin.state] - That generator's state before the spin, which replays it with
+ *   `?state=` or the developer panel. Forced spins have neither.
+ */
+export function recordSpin({
+  bet,
+  stops,
+  grid,
+  winningLines,
+  payout,
+  freeSpin = false,
+  seed,
+  state
+}) {
+  _wallet.history.push({
+    timestamp: new Date().toISOString(),
+    bet,
+    freeSpin,
+    seed,
+    state,
+    stops,
+    grid,
+    winningLines: winningLines.map((line) => ({
+      payline: line.payline.id,
+      symbol: line.symbol,
+      count: line.count,
+      payout: line.payout
+    })),
+    payout,
+    balance: _wallet.balance
+  })
+
+  if (_wallet.history.length > MAX_HISTORY_ENTRIES) {
+    _wallet.history.splice(0, _wallet.history.length - MAX_HISTORY_ENTRIES)
+  }
+  saveWallet()
+}
+
+/**
+ * @returns {object[]} The recorded spins, oldest first.
+ */
+export function getHistory() {
+  return _wallet.history
+}
+
+/**
+ * Restores the default balance and clears the spin history.
+ * @returns {number} The reset balance.
+ */
+export function resetWallet() {
+  _wallet = { balance: DEFAULT_BALANCE, history: [] }
+  saveWallet()
+  return _wallet.balance
+}
+
+// --- History Export ---
+
+/**
+ * Serializes the spin history as pretty-printed JSON.
+ * @returns {string} The JSON document.
+ */
+export function exportHistoryAsJson() {
+  return JSON.stringify(_wallet.history, null, 2)
+}
+
+/**
+ * Serializes the spin history as CSV, one row per spin.
+ * Reel results are written top to bottom per reel (e.g. `apple|kiwi|corn`), reels separated by spaces,
+ * and winning lines as `line:count x symbol=payout` entries.
+ * @returns {string} The CSV document.
+ */
+export function exportHistoryAsCsv() {
+  const escapeCsv = (value) => `"${String(value).replace(/"/g, '""')}"`
+  const header = [
+    'timestamp',
+    'bet',
+    'freeSpin',
+    'seed',
+    'state',
+    'stops',
+    'reels',
+    'winningLines',
+    'payout',
+    'balance'
+  ]
+
+  const rows = _wallet.history.map((entry) =>
+    [
+      entry.timestamp,
+      entry.bet,
+      Boolean(entry.freeSpin), // Entries recorded before free spins existed lack the flag.
+      entry.seed ?? '', // Forced spins, and entries recorded before replays existed, lack these.
+      entry.state ?? '',
+      entry.stops.join(' '),
+      entry.grid.map((column) => column.join('|')).join(' '),
+      entry.winningLines
+        .map((line) => `${line.payline}:${line.count}x ${line.symbol}=${line.payout}`)
+        .join(' '),
+      entry.payout,
+      entry.balance
+    ]
+      .map(escapeCsv)
+      .join(',')
+  )
+
+  return [header.join(','), ...rows].join('\n')
+}
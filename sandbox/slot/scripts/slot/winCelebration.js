@@ -0,0 +1,212 @@
+import { Container, Graphics, Rectangle, Text } from 'pixi.js'
+import * as Fireworks from '../fireworks/fireworks.js'
+import { getParticleLayer } from '../fireworks/particleSystem.js'
+import { tween, after, backOut, Easing } from '../tween/tween.js'
+import { onLayoutChange } from '../layout/layoutManager.js'
+
+// --- Win Celebration Tiers ---
+// The size of a win relative to its bet picks how it is celebrated: each tier has its own
+// fireworks script and a count-up of the amount won on stage. Clicking the stage skips it.
+
+/**
+ * Celebration tiers, from the largest win down. A win uses the first tier whose `minRatio`
+ * (win divided by bet) it reaches.
+ * @type {{name: string, minRatio: number, title: string|null, fireworks: string,
+ *   countUpDuration: number, holdDuration: number, textScale: number, dim: number}[]}
+ */
+const WIN_TIERS = [
+  {
+    name: 'epic',
+    minRatio: 40,
+    title: 'GANHO ÉPICO!',
+    fireworks: './data/fireworks/epic.xml',
+    countUpDuration: 6000, // Time the amount takes to count up (ms).
+    holdDuration: 2000, // Time the final amount stays on stage (ms).
+    textScale: 1,
+    dim: 0.6 // Opacity of the backdrop dimming the reels.
+  },
+  {
+    name: 'mega',
+    minRatio: 15,
+    title: 'MEGA GANHO!',
+    fireworks: './data/fireworks/mega.xml',
+    countUpDuration: 4500,
+    holdDuration: 1500,
+    textScale: 0.9,
+    dim: 0.5
+  },
+  {
+    name: 'big',
+    minRatio: 5,
+    title: 'GRANDE GANHO!',
+    fireworks: './data/fireworks/big.xml',
+    countUpDuration: 3000,
+    holdDuration: 1200,
+    textScale: 0.8,
+    dim: 0.4
+  },
+  {
+    name: 'small',
+    minRatio: 0,
+    title: null, // Small wins only count up.
+    fireworks: './data/fireworks/small.xml',
+    countUpDuration: 800,
+    holdDuration: 400,
+    textScale: 0.6,
+    dim: 0
+  }
+]
+const POP_IN_DURATION = 400 // Duration of the texts' entrance (ms).
+
+const overlay = new Container() // Covers the stage while a celebration plays; clicks skip it.
+const backdrop = new Graphics() // Dims the reels under the fireworks, which stay bright.
+const content = new Container() // Title and amount, scaled in together.
+const titleText = new Text('', {
+  fontFamily: 'Bangers, Arial',
+  fontSize: 84,
+  fill: '#ffd700',
+  stroke: '#000000',
+  strokeThickness: 8,
+  letterSpacing: 4
+})
+const amountText = new Text('0', {
+  fontFamily: 'Bangers, Arial',
+  fontSize: 130,
+  fill: '#ffffff',
+  stroke: '#000000',
+  strokeThickness: 10
+})
+
+let _app
+let current = null // The celebration on stage: its tier and running tween handles.
+
+/**
+ * Picks the celebration tier of a win.
+ * @param {number} totalWin - Amount won.
+ * @param {number} bet - Amount wagered.
+ * @returns {object|null} The tier from `WIN_TIERS`, or null when nothing was won.
+ */
+export function getWinTier(totalWin, bet) {
+  if (totalWin <= 0 || bet <= 0) return null
+  const ratio = totalWin / bet
+  return WIN_TIERS.find((tier) => ratio >= tier.minRatio)
+}
+
+/**
+ * Sizes the overlay to the canvas and centers its texts.
+ * @param {{width: number, height: number}} size - Logical canvas size.
+ */
+const layoutOverlay = ({ width, height }) => {
+  overlay.hitArea = new Rectangle(0, 0, width, height)
+  backdrop.clear()
+  backdrop.beginFill(0x000000, 1)
+  backdrop.drawRect(0, 0, width, height)
+  backdrop.endFill()
+  content.position.set(width / 2, height / 2)
+}
+
+/**
+ * Hides the overlay and forgets the current celebration.
+ */
+const hideOverlay = () => {
+  current = null
+  overlay.visible = backdrop.visible = false
+}
+
+/**
+ * Celebrates a win according to its tier: starts the tier's fireworks show and counts the
+ * amount up on stage. Any celebration still running is stopped first.
+ * The fireworks may outlast the count-up; they keep playing until they end or are stopped.
+ * @param {number} totalWin - Amount won.
+ * @param {number} bet - Amount wagered.
+ * @returns {Promise<boolean>} Resolves once the count-up presentation is over: true when it ran
+ *   to the end, false when it was skipped or there was nothing to celebrate.
+ */
+export async function celebrateWin(totalWin, bet) {
+  stopCelebration()
+  const tier = getWinTier(totalWin, bet)
+  if (!tier || !_app) return false
+
+  Fireworks.triggerFireworksSequence(tier.fireworks)
+
+  backdrop.alpha = tier.dim
+  titleText.visible = tier.title !== null
+  titleText.text = tier.title ?? ''
+  amountText.text = '0'
+  // The amount sits under the title, or alone in the middle for small wins.
+  amountText.anchor.set(0.5, titleText.visible ? 0 : 0.5)
+  content.scale.set(0)
+  overlay.visible = backdrop.visible = true
+
+  const counter = { value: 0 }
+  const celebration = { tier, handles: [] }
+  current = celebration
+  celebration.handles.push(
+    tween(
+      content.scale,
+      { x: tier.textScale, y: tier.textScale },
+      { duration: POP_IN_DURATION, easing: backOut(1.2) }
+    )
+  )
+  const countUp = tween(
+    counter,
+    { value: totalWin },
+    {
+      duration: tier.countUpDuration,
+      easing: Easing.quadOut,
+      onUpdate: () => {
+        amountText.text = String(Math.round(counter.value))
+      }
+    }
+  )
+  celebration.handles.push(countUp)
+
+  let completed = await countUp.done
+  if (completed && current === celebration) {
+    const hold = after(tier.holdDuration)
+    celebration.handles.push(hold)
+    completed = await hold.done
+  }
+  if (current === celebration) hideOverlay()
+  return completed
+}
+
+/**
+ * Skips the current celebration: removes the count-up and stops the fireworks show, including
+ * fireworks not launched yet.
+ */
+export function stopCelebration() {
+  Fireworks.stopAllFireworks()
+  if (!current) return
+  const { handles } = current
+  hideOverlay()
+  handles.forEach((handle) => handle.cancel())
+}
+
+/**
+ * @returns {boolean} True while a count-up presentation is on stage.
+ */
+export function isCelebrating() {
+  return current !== null
+}
+
+/**
+ * Initializes the celebration overlay. Must be called once after the fireworks module: the
+ * backdrop goes under the fireworks and the texts above them.
+ * @param {PIXI.Application} app - The main PixiJS Application instance.
+ */
+export function initWinCelebration(app) {
+  _app = app
+
+  titleText.anchor.set(0.5, 1) // Bottom-centered on the middle of the canvas.
+  content.addChild(titleText, amountText)
+  overlay.addChild(content)
+  overlay.visible = backdrop.visible = false
+  overlay.eventMode = 'static' // Receives clicks anywhere on the canvas while visible.
+  overlay.cursor = 'pointer'
+  overlay.on('pointertap', stopCelebration)
+  _app.stage.addChildAt(backdrop, _app.stage.getChildIndex(getParticleLayer()))
+  _app.stage.addChild(overlay)
+
+  onLayoutChange(layoutOverlay)
+}
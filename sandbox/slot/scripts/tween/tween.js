@@ -0,0 +1,270 @@
+// --- Shared Tween Engine ---
+// Every animation in the game (reels, rockets, fountains) advances on the same PixiJS ticker,
+// so they share one clock, can be cancelled through their handles and pause together while
+// the browser tab is hidden.
+
+const jobs = new Set() // Active tweens, timers and loops.
+
+let _ticker // The PixiJS ticker driving every job.
+let pausedByGame = false // Set by `pauseAll` / `resumeAll`.
+let pageHidden = false // True while the browser tab is hidden.
+let skipNextDelta = false // The first frame after resuming would otherwise jump ahead.
+
+// --- Easings ---
+
+/**
+ * Easing functions mapping linear progress `t` (0.0 to 1.0) to eased progress.
+ * @type {Object<string, function(number): number>}
+ */
+export const Easing = {
+  linear: (t) => t,
+  quadIn: (t) => t * t,
+  quadOut: (t) => t * (2 - t),
+  quadInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+  cubicIn: (t) => t * t * t,
+  cubicOut: (t) => 1 - (1 - t) ** 3,
+  cubicInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+  sineInOut: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  expoOut: (t) => (t === 1 ? 1 : 1 - 2 ** (-10 * t)),
+  elasticOut: (t) =>
+    t === 0 || t === 1 ? t : 2 ** (-10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) + 1,
+  bounceOut: (t) => {
+    const n = 7.5625
+    const d = 2.75
+    if (t < 1 / d) return n * t * t
+    if (t < 2 / d) return n * (t - 1.5 / d) ** 2 + 0.75
+    if (t < 2.5 / d) return n * (t - 2.25 / d) ** 2 + 0.9375
+    return n * (t - 2.625 / d) ** 2 + 0.984375
+  }
+}
+
+/**
+ * Creates a "backout" easing, providing an overshoot and settle effect.
+ * Ideal for reel stops to add a subtle bounce.
+ * @param {number} amount - The magnitude of the overshoot.
+ * @returns {function(number): number} An easing function taking time `t` (0.0-1.0).
+ */
+export const backOut = (amount) => (t) => {
+  t = t - 1
+  return t * t * ((amount + 1) * t + amount) + 1
+}
+
+/**
+ * Performs linear interpolation between two values.
+ * @param {number} a - Start value.
+ * @param {number} b - End value.
+ * @param {number} t - Interpolation factor (0.0 to 1.0).
+ * @returns {number} The interpolated value.
+ */
+const lerp = (a, b, t) => a + (b - a) * t
+
+// --- Jobs and Handles ---
+
+/**
+ * @typedef {object} TweenHandle
+ * @property {Promise<boolean>} done - Resolves with true once the job completes (naturally or
+ *   through `finish`), or with false if it is cancelled.
+ * @property {function(): void} cancel - Stops the job where it is, without completing it.
+ * @property {function(): void} finish - Jumps straight to the end and completes the job.
+ * @property {function(): void} pause - Holds the job until `resume`.
+ * @property {function(): void} resume - Continues a paused job.
+ * @property {boolean} active - True until the job completes or is cancelled.
+ */
+
+/**
+ * Registers a job advanced on every tick.
+ * @param {function(number): boolean} advance - Called with the elapsed milliseconds since the
+ *   previous tick; returns true once the job has reached its end.
+ * @param {function(): void} complete - Called once when the job completes (not when cancelled).
+ * @returns {TweenHandle} The job's handle.
+ */
+const startJob = (advance, complete) => {
+  let settle
+  const job = { advance, paused: false }
+  const done = new Promise((resolve) => {
+    settle = resolve
+  })
+
+  job.end = (completed) => {
+    if (!jobs.delete(job)) return // Already ended.
+    if (completed) complete()
+    settle(completed)
+  }
+  jobs.add(job)
+
+  return {
+    done,
+    cancel: () => job.end(false),
+    finish: () => job.end(true),
+    pause: () => {
+      job.paused = true
+    },
+    resume: () => {
+      job.paused = false
+    },
+    get active() {
+      return jobs.has(job)
+    }
+  }
+}
+
+/**
+ * Advances every running job. Attached to the ticker by `initTween`.
+ */
+const update = () => {
+  if (pausedByGame || pageHidden) return
+  const deltaMs = skipNextDelta ? 0 : _ticker.deltaMS
+  skipNextDelta = false
+
+  // Jobs may start or end others while they run, so iterate over a snapshot.
+  Array.from(jobs).forEach((job) => {
+    if (job.paused || !jobs.has(job)) return
+    try {
+      if (job.advance(deltaMs)) job.end(true)
+    } catch (error) {
+      // A failing animation must not stop every other one.
+      console.error('Error in tween update, cancelling it:', error)
+      job.end(false)
+    }
+  })
+}
+
+// --- Public API ---
+
+/**
+ * Animates numeric properties of an object towards target values.
+ * Start values are read when the tween actually starts, i.e. after any delay.
+ * @param {object} target - The object to animate (e.g. a sprite, its `scale`, or a reel).
+ * @param {Object<string, number>} properties - Final value per property name.
+ * @param {object} options - Timing options.
+ * @param {number} options.duration - Animation duration in milliseconds.
+ * @param {function(number): number} [options.easing=Easing.linear] - Easing function.
+ * @param {number} [options.delay=0] - Milliseconds to wait before starting.
+ * @param {function(number): void} [options.onUpdate] - Called every tick with the eased progress.
+ * @param {function(): void} [options.onComplete] - Called once the final values are set.
+ * @returns {TweenHandle} The tween's handle.
+ */
+export function tween(
+  target,
+  properties,
+  { duration, easing = Easing.linear, delay = 0, onUpdate, onComplete }
+) {
+  let elapsed = 0
+  let startValues = null
+
+  return startJob(
+    (deltaMs) => {
+      elapsed += deltaMs
+      if (elapsed < delay) return false
+
+      if (!startValues) {
+        startValues = {}
+        Object.keys(properties).forEach((key) => {
+          startValues[key] = target[key]
+        })
+      }
+
+      const t = duration > 0 ? Math.min(1, (elapsed - delay) / duration) : 1
+      const eased = easing(t)
+      Object.keys(properties).forEach((key) => {
+        target[key] = lerp(startValues[key], properties[key], eased)
+      })
+      if (onUpdate) onUpdate(eased)
+      return t >= 1
+    },
+    () => {
+      Object.assign(target, properties) // Ensure final values are exact.
+      if (onComplete) onComplete()
+    }
+  )
+}
+
+/**
+ * Calls a function once a delay has elapsed on the shared clock (a pausable `setTimeout`).
+ * @param {number} delay - Milliseconds to wait.
+ * @param {function(): void} [callback] - Called when the delay elapses, or on `finish`.
+ * @returns {TweenHandle} The timer's handle; `done` doubles as a promise-based wait.
+ */
+export function after(delay, callback) {
+  let elapsed = 0
+  return startJob(
+    (deltaMs) => {
+      elapsed += deltaMs
+      return elapsed >= delay
+    },
+    () => {
+      if (callback) callback()
+    }
+  )
+}
+
+/**
+ * Calls a function on every tick until it returns false or its handle ends it.
+ * Used for open-ended, per-frame simulations such as particles.
+ * @param {function(number): (boolean|void)} step - Called with the elapsed milliseconds since
+ *   the previous tick; returning false completes the loop.
+ * @returns {TweenHandle} The loop's handle.
+ */
+export function loop(step) {
+  return startJob(
+    (deltaMs) => step(deltaMs) === false,
+    () => {}
+  )
+}
+
+/**
+ * Pauses every job, e.g. while the game is paused.
+ */
+export function pauseAll() {
+  pausedByGame = true
+}
+
+/**
+ * Resumes every job after `pauseAll`. Time spent paused is not caught up.
+ */
+export function resumeAll() {
+  pausedByGame = false
+  skipNextDelta = true
+}
+
+/**
+ * Creates a stand-in for the PixiJS ticker that only advances when told to, for rendering
+ * animations frame by frame on a fixed clock instead of the display's refresh rate.
+ * @returns {{deltaMS: number, add: function(function(): void): void,
+ *   tick: function(number): void}} The ticker: pass it to `initTween`, then call `tick` with
+ *   the milliseconds each frame lasts.
+ */
+export function createManualTicker() {
+  const listeners = []
+  const ticker = {
+    deltaMS: 0,
+    add: (listener) => {
+      listeners.push(listener)
+    },
+    tick: (deltaMs) => {
+      ticker.deltaMS = deltaMs
+      listeners.forEach((listener) => listener())
+    }
+  }
+  return ticker
+}
+
+/**
+ * Initializes the tween engine on a ticker. Must be called once before any job starts.
+ * Jobs pause while the page is hidden and resume where they left off when it is shown again.
+ * @param {PIXI.Ticker|object} ticker - The ticker that drives every job (usually `app.ticker`,
+ *   or one made with `createManualTicker`).
+ * @param {object} [options] - Engine options.
+ * @param {boolean} [options.pauseWhenHidden=true] - Set to false to keep jobs running in a
+ *   hidden tab, e.g. while rendering offline on a manual ticker.
+ */
+export function initTween(ticker, { pauseWhenHidden = true } = {}) {
+  _ticker = ticker
+  _ticker.add(update)
+  if (!pauseWhenHidden) return
+
+  document.addEventListener('visibilitychange', () => {
+    pageHidden = document.hidden
+    if (!pageHidden) skipNextDelta = true
+  })
+}
@@ -0,0 +1,22 @@
+// --- File Downloads ---
+// Shared by the game (spin history exports) and the fireworks tools (show files and videos).
+
+const REVOKE_DELAY = 60 * 1000 // Time the browser gets to start reading the file (ms).
+
+/**
+ * Offers content to the user as a file download.
+ * @param {string} filename - Suggested file name.
+ * @param {string|Blob} content - File contents, as text or binary data.
+ * @param {string} mimeType - MIME type of the content.
+ */
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Revoking right away cancels the download in some browsers, notably for large files.
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY)
+}
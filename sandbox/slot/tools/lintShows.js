@@ -0,0 +1,76 @@
+// Lints fireworks show files against the show schema (see scripts/fireworks/showValidator.js).
+//
+// Usage (from sandbox/slot, Node.js 18 or later):
+//   node tools/lintShows.js [show.xml|show.json ...]
+//
+// Without arguments, checks data/fireworks.xml and every show in data/fireworks/.
+// Files ending in .json are read as JSON shows, any other as XML.
+// Prints one `file:line: message` per problem and exits with code 1 when any show is invalid.
+
+import { readFile, readdir } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import { relative } from 'node:path'
+import {
+  validateShowXml,
+  validateShowJsonText,
+  formatShowError
+} from '../scripts/fireworks/showValidator.js'
+
+const SLOT_ROOT = new URL('../', import.meta.url)
+
+/**
+ * Lists the shows shipped with the game.
+ * @returns {Promise<string[]>} File paths relative to the current directory.
+ */
+const findDefaultShows = async () => {
+  const showsDir = new URL('data/fireworks/', SLOT_ROOT)
+  const entries = await readdir(showsDir)
+  return [
+    new URL('data/fireworks.xml', SLOT_ROOT),
+    ...entries
+      .filter((name) => name.endsWith('.xml') || name.endsWith('.json'))
+      .map((name) => new URL(name, showsDir))
+  ].map((url) => relative(process.cwd(), fileURLToPath(url)))
+}
+
+/**
+ * Validates a single show file and prints its problems.
+ * @param {string} path - Path of the show.
+ * @returns {Promise<number>} Number of problems found.
+ */
+async function lintShow(path) {
+  let text
+  try {
+    text = await readFile(path, 'utf8')
+  } catch (error) {
+    console.error(`${path}: cannot be read (${error.message})`)
+    return 1
+  }
+
+  const validate = path.endsWith('.json') ? validateShowJsonText : validateShowXml
+  const { fireworks, errors } = validate(text)
+  errors.forEach((error) => console.error(formatShowError(error, path)))
+  if (errors.length === 0) console.log(`${path}: ok (${fireworks.length} fireworks)`)
+  return errors.length
+}
+
+/**
+ * CLI entry point.
+ */
+async function main() {
+  const paths = process.argv.length > 2 ? process.argv.slice(2) : await findDefaultShows()
+  let problems = 0
+  for (const path of paths) {
+    problems += await lintShow(path)
+  }
+
+  if (problems > 0) {
+    console.error(`\n${problems} problem(s) found.`)
+    process.exitCode = 1
+  }
+}
+
+main().catch((error) => {
+  console.error('Lint failed:', error)
+  process.exitCode = 1
+})
@@ -0,0 +1,198 @@
+// Headless RTP / volatility simulator for the slot math.
+// Reuses the game's outcome and win-evaluation logic without PixiJS, including free spins.
+//
+// Usage (from sandbox/slot, Node.js 18 or later):
+//   node tools/simulateRtp.js [--spins 1000000] [--bet 100] [--seed 1] [--min-rtp 0.92] [--max-rtp 0.97]
+//
+// Exits with code 1 when the measured RTP falls outside the target band, which defaults
+// to `targetRtp` in data/paytable.json.
+
+import { readFile } from 'node:fs/promises'
+import { createRng } from '../scripts/rng/rng.js'
+import { drawStops, evaluateSpin } from '../scripts/slot/slotMath.js'
+
+// Win-to-bet ratio buckets for the payout distribution, as [lower bound, label].
+const PAYOUT_BUCKETS = [
+  [0, 'loss'],
+  [Number.EPSILON, '< 1x'],
+  [1, '1x - 2x'],
+  [2, '2x - 5x'],
+  [5, '5x - 10x'],
+  [10, '10x - 50x'],
+  [50, '50x+']
+]
+
+/**
+ * Parses `--name value` pairs from the command line.
+ * @param {string[]} argv - Raw arguments (without the node binary and script path).
+ * @returns {Object<string, string>} Options keyed by name.
+ */
+const parseArgs = (argv) => {
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1]
+      i++
+    }
+  }
+  return options
+}
+
+/**
+ * Reads a JSON file relative to the slot's root directory.
+ * @param {string} relativePath - Path such as 'data/paytable.json'.
+ * @returns {Promise<object>} The parsed JSON.
+ */
+const readJson = async (relativePath) =>
+  JSON.parse(await readFile(new URL(`../${relativePath}`, import.meta.url), 'utf8'))
+
+/**
+ * Runs the simulation and collects statistics.
+ * @param {object} config - Simulation settings.
+ * @param {object[][]} config.reelStrips - One strip per reel.
+ * @param {object} config.paytable - The loaded paytable.
+ * @param {number} config.spins - Number of spins to play.
+ * @param {number} config.bet - Bet per spin.
+ * @param {number|string} config.seed - Seed for the simulation RNG.
+ * @returns {object} Aggregated statistics.
+ */
+function simulate({ reelStrips, paytable, spins, bet, seed }) {
+  const rng = createRng(seed)
+  const bucketCounts = PAYOUT_BUCKETS.map(() => 0)
+
+  let totalBet = 0
+  let totalWin = 0
+  let hits = 0
+  let sumSquaredRatio = 0 // For the standard deviation of win-to-bet ratios (volatility).
+  let maxWin = 0
+  let losingStreak = 0
+  let longestLosingStreak = 0
+
+  const freeSpinsMultiplier = paytable.freeSpins ? paytable.freeSpins.multiplier : 1
+  let freeSpinsTriggers = 0
+
+  for (let i = 0; i < spins; i++) {
+    const stops = drawStops(reelStrips, rng.random)
+    const spinResult = evaluateSpin(reelStrips, stops, paytable, bet)
+    let win = spinResult.totalWin
+
+    // Free spins (including retriggers) are played out and credited to the paid spin.
+    let freeSpinsRemaining = spinResult.freeSpinsAwarded
+    if (freeSpinsRemaining > 0) freeSpinsTriggers++
+    while (freeSpinsRemaining > 0) {
+      freeSpinsRemaining--
+      const freeStops = drawStops(reelStrips, rng.random)
+      const freeResult = evaluateSpin(reelStrips, freeStops, paytable, bet, freeSpinsMultiplier)
+      win += freeResult.totalWin
+      freeSpinsRemaining += freeResult.freeSpinsAwarded
+    }
+    const ratio = win / bet
+
+    totalBet += bet
+    totalWin += win
+    sumSquaredRatio += ratio * ratio
+    maxWin = Math.max(maxWin, win)
+
+    if (win > 0) {
+      hits++
+      losingStreak = 0
+    } else {
+      losingStreak++
+      longestLosingStreak = Math.max(longestLosingStreak, losingStreak)
+    }
+
+    // Finds the highest bucket whose lower bound the ratio reaches.
+    let bucket = 0
+    for (let b = PAYOUT_BUCKETS.length - 1; b >= 0; b--) {
+      if (ratio >= PAYOUT_BUCKETS[b][0]) {
+        bucket = b
+        break
+      }
+    }
+    bucketCounts[bucket]++
+  }
+
+  // The mean win-to-bet ratio equals the RTP when every spin is played at the same bet.
+  const rtp = totalWin / totalBet
+  const variance = sumSquaredRatio / spins - rtp * rtp
+
+  return {
+    spins,
+    totalBet,
+    totalWin,
+    rtp,
+    hitFrequency: hits / spins,
+    freeSpinsFrequency: freeSpinsTriggers / spins,
+    volatility: Math.sqrt(Math.max(variance, 0)),
+    maxWin,
+    longestLosingStreak,
+    distribution: PAYOUT_BUCKETS.map(([, label], b) => ({
+      label,
+      count: bucketCounts[b],
+      share: bucketCounts[b] / spins
+    }))
+  }
+}
+
+/**
+ * Prints a human-readable report of the simulation statistics.
+ * @param {object} stats - Result from `simulate`.
+ * @param {{min: number, max: number}} band - The target RTP band.
+ */
+const printReport = (stats, band) => {
+  const percent = (value) => `${(value * 100).toFixed(3)}%`
+
+  console.log(`Spins:                 ${stats.spins}`)
+  console.log(`Total bet / won:       ${stats.totalBet} / ${stats.totalWin}`)
+  console.log(`RTP:                   ${percent(stats.rtp)}`)
+  console.log(`Target band:           ${percent(band.min)} - ${percent(band.max)}`)
+  console.log(`Hit frequency:         ${percent(stats.hitFrequency)}`)
+  console.log(
+    `Free spins triggers:   ${percent(stats.freeSpinsFrequency)}` +
+      (stats.freeSpinsFrequency > 0 ? ` (1 in ${Math.round(1 / stats.freeSpinsFrequency)})` : '')
+  )
+  console.log(`Volatility (std dev):  ${stats.volatility.toFixed(3)}x bet`)
+  console.log(`Biggest win:           ${stats.maxWin}`)
+  console.log(`Longest losing streak: ${stats.longestLosingStreak}`)
+  console.log('Payout distribution (win / bet):')
+  stats.distribution.forEach(({ label, count, share }) => {
+    console.log(`  ${label.padEnd(10)} ${String(count).padStart(10)}  ${percent(share)}`)
+  })
+}
+
+/**
+ * CLI entry point.
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const [paytable, reelStripsConfig] = await Promise.all([
+    readJson('data/paytable.json'),
+    readJson('data/reelStrips.json')
+  ])
+
+  const targetRtp = paytable.targetRtp || { min: 0, max: Infinity }
+  const band = {
+    min: options['min-rtp'] !== undefined ? parseFloat(options['min-rtp']) : targetRtp.min,
+    max: options['max-rtp'] !== undefined ? parseFloat(options['max-rtp']) : targetRtp.max
+  }
+
+  const stats = simulate({
+    reelStrips: reelStripsConfig.reels,
+    paytable,
+    spins: parseInt(options.spins || '1000000', 10),
+    bet: parseInt(options.bet || '100', 10),
+    seed: options.seed ?? Date.now()
+  })
+
+  printReport(stats, band)
+
+  if (stats.rtp < band.min || stats.rtp > band.max) {
+    console.error(`RTP ${(stats.rtp * 100).toFixed(3)}% is outside the target band.`)
+    process.exitCode = 1
+  }
+}
+
+main().catch((error) => {
+  console.error('Simulation failed:', error)
+  process.exitCode = 1
+})